@@ -0,0 +1,227 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const storage = require('./storage');
+
+/**
+ * Watches the position of the device and sends it to the server
+ * Updates are throttled. Only the latest position is sent, which means that positions retrieved while offline are not queued
+ */
+class PositionTracker {
+  /**
+   * @param {Object} params - Parameters
+   * @param {SocketManager} params.socketManager - Socket manager used to send positions
+   * @param {number} [params.minSendInterval] - Shortest time (ms) between positions sent to the server
+   * @param {number} [params.maxAccuracy] - Positions with worse accuracy (meters) than this are not sent to the server
+   */
+  constructor({ socketManager, minSendInterval, maxAccuracy }) {
+    this.socketManager = socketManager;
+    this.minSendInterval = minSendInterval || 10000;
+    this.maxAccuracy = maxAccuracy || 100;
+    this.watchId = null;
+    this.position = null;
+    this.lastSent = 0;
+    this.sendTimeout = null;
+    this.hasUnsentPosition = false;
+    this.positionListeners = [];
+    this.errorListeners = [];
+    this.isSharing = storage.getLocalVal('isSharingPosition') !== false;
+
+    this.socketManager.addStateListener(({ state }) => {
+      if (state === this.socketManager.ConnectionStateEnum.ONLINE && this.hasUnsentPosition) {
+        this.sendPosition();
+      }
+    });
+  }
+
+  /**
+   * Start watching the position of the device
+   */
+  startTracking() {
+    if (this.watchId !== null) {
+      return;
+    }
+
+    if (!navigator.geolocation) {
+      this.sendError(['Your device does not support positioning']);
+
+      return;
+    }
+
+    this.watchId = navigator.geolocation.watchPosition(geoPosition => this.updatePosition(geoPosition), (error) => {
+      if (error.code === error.PERMISSION_DENIED) {
+        this.stopTracking();
+        this.sendError(['Access to your position has been denied', 'Allow it in the settings of your browser to show your position on the map']);
+      } else {
+        this.sendError(['Unable to retrieve your position']);
+      }
+    }, {
+      enableHighAccuracy: true,
+      maximumAge: 5000,
+      timeout: 30000,
+    });
+  }
+
+  /**
+   * Stop watching the position of the device. Unsent positions are dropped
+   */
+  stopTracking() {
+    if (this.watchId !== null) {
+      navigator.geolocation.clearWatch(this.watchId);
+      this.watchId = null;
+    }
+
+    clearTimeout(this.sendTimeout);
+    this.sendTimeout = null;
+    this.hasUnsentPosition = false;
+  }
+
+  /**
+   * @returns {boolean} Is the position of the device being watched?
+   */
+  isTracking() {
+    return this.watchId !== null;
+  }
+
+  /**
+   * Store new position, notify listeners and send it to the server
+   * @param {Object} geoPosition - Position retrieved from navigator.geolocation
+   */
+  updatePosition(geoPosition) {
+    this.position = {
+      latitude: geoPosition.coords.latitude,
+      longitude: geoPosition.coords.longitude,
+      accuracy: geoPosition.coords.accuracy,
+      timeStamp: new Date(geoPosition.timestamp),
+    };
+
+    for (const listener of this.positionListeners) {
+      listener(this.position);
+    }
+
+    if (this.isSharing && this.position.accuracy <= this.maxAccuracy) {
+      this.hasUnsentPosition = true;
+      this.throttleSend();
+    }
+  }
+
+  /**
+   * Send the position now or, if the last one was sent recently, when the send interval has passed
+   */
+  throttleSend() {
+    const timeLeft = this.minSendInterval - ((new Date()).getTime() - this.lastSent);
+
+    if (this.sendTimeout !== null) {
+      return;
+    } else if (timeLeft <= 0) {
+      this.sendPosition();
+    } else {
+      this.sendTimeout = setTimeout(() => {
+        this.sendTimeout = null;
+        this.sendPosition();
+      }, timeLeft);
+    }
+  }
+
+  /**
+   * Send the latest position to the server. It will be sent when the client reconnects, if it is offline
+   */
+  sendPosition() {
+    if (!this.isSharing || !this.hasUnsentPosition || !this.socketManager.socket.connected) {
+      return;
+    }
+
+    this.socketManager.emitEvent('updateLocation', {
+      position: {
+        latitude: this.position.latitude,
+        longitude: this.position.longitude,
+        accuracy: this.position.accuracy,
+      },
+    });
+    this.lastSent = (new Date()).getTime();
+    this.hasUnsentPosition = false;
+  }
+
+  /**
+   * Turn sharing of the position with the server on or off. The position will still be shown locally
+   * The choice is stored
+   * @param {boolean} isSharing - Should the position be sent to the server?
+   */
+  setSharing(isSharing) {
+    this.isSharing = isSharing;
+    storage.setLocalVal('isSharingPosition', isSharing);
+
+    if (!isSharing) {
+      clearTimeout(this.sendTimeout);
+      this.sendTimeout = null;
+      this.hasUnsentPosition = false;
+    } else if (this.position) {
+      this.hasUnsentPosition = true;
+      this.throttleSend();
+    }
+  }
+
+  /**
+   * @returns {{latitude: number, longitude: number, accuracy: number, timeStamp: Date}|null} Latest position of the device
+   */
+  getPosition() {
+    return this.position;
+  }
+
+  /**
+   * Add listener that will be called with the new position every time it changes
+   * @param {Function} listener - Listener
+   */
+  addPositionListener(listener) {
+    this.positionListeners.push(listener);
+  }
+
+  /**
+   * Remove position listener
+   * @param {Function} listener - Listener to remove
+   */
+  removePositionListener(listener) {
+    this.positionListeners = this.positionListeners.filter(positionListener => positionListener !== listener);
+  }
+
+  /**
+   * Add listener that will be called with an error text if the position can't be retrieved
+   * @param {Function} listener - Listener
+   */
+  addErrorListener(listener) {
+    this.errorListeners.push(listener);
+  }
+
+  /**
+   * Remove error listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeErrorListener(listener) {
+    this.errorListeners = this.errorListeners.filter(errorListener => errorListener !== listener);
+  }
+
+  /**
+   * Send error text to all error listeners
+   * @param {string[]} textArray - Lines of the error text
+   */
+  sendError(textArray) {
+    for (const listener of this.errorListeners) {
+      listener(textArray);
+    }
+  }
+}
+
+module.exports = PositionTracker;
@@ -14,47 +14,653 @@
  limitations under the License.
  */
 
+const storage = require('./storage');
+
 class SocketManager {
-  constructor({ socket, events }) {
-    const eventKeys = Object.keys(events);
+  /**
+   * @param {Object} params.socket - Socket.io socket. Its built-in reconnection should be disabled, as reconnects are handled here
+   * @param {Object} [params.events] - Events to listen to. Key is the event name and value is the function that will be called
+   * @param {string} [params.queueName] - Name of the item in local storage where emits sent while offline are stored
+   * @param {number} [params.minReconnectDelay] - Delay (ms) before the first reconnect attempt
+   * @param {number} [params.maxReconnectDelay] - Highest delay (ms) between reconnect attempts
+   * @param {number} [params.degradedLatency] - Latency (ms) above which the connection is considered degraded
+   * @param {string} [params.deviceId] - Id of the device. Sent to the server on reconnect, together with the logged in user
+   * @param {number} [params.defaultTimeout] - Time (ms) before a request without an answer from the server fails
+   * @param {Object} [params.eventTimeouts] - Timeouts (ms) for specific events. Key is the event name
+   * @param {number} [params.restoreTimeout] - Time (ms) to wait for the server to restore the session on reconnect, before the queue is replayed anyway
+   */
+  constructor({ socket, events, queueName, minReconnectDelay, maxReconnectDelay, degradedLatency, deviceId, defaultTimeout, eventTimeouts, restoreTimeout }) {
     this.socket = socket;
     this.lastAlive = (new Date()).getTime();
+    this.queueName = queueName || 'emitQueue';
+    // Stored emits are held until a user is logged in. Their callbacks are lost on reload, so answers go to the result handler of the event
+    this.queue = (storage.getLocalVal(this.queueName) || []).map(queued => Object.assign({}, queued, { isStored: true }));
+    this.queuedCallbacks = new Map();
+    this.resultHandlers = new Map();
+    this.lastQueueId = this.queue.reduce((highest, queued) => Math.max(highest, queued.queueId), 0);
+    this.queueListeners = [];
+    this.saveQueue();
+    this.ConnectionStateEnum = {
+      CONNECTING: 'connecting',
+      ONLINE: 'online',
+      DEGRADED: 'degraded',
+      OFFLINE: 'offline',
+      RECONNECTING: 'reconnecting',
+    };
+    this.connectionState = this.ConnectionStateEnum.CONNECTING;
+    this.stateListeners = [];
+    this.reconnectAttempts = 0;
+    this.reconnectTimeout = null;
+    this.minReconnectDelay = minReconnectDelay || 1000;
+    this.maxReconnectDelay = maxReconnectDelay || 30000;
+    this.degradedLatency = degradedLatency || 3000;
+    this.hasConnected = false;
+    this.isRestoring = false;
+    this.lastRestoreId = 0;
+    this.user = null;
+    this.deviceId = deviceId;
+    this.lastSeen = storage.getLocalVal('lastSeen');
+    this.restoreListeners = [];
+    this.defaultTimeout = defaultTimeout || 20000;
+    this.eventTimeouts = eventTimeouts || {};
+    this.restoreTimeout = restoreTimeout || 10000;
+    this.RequestErrorEnum = {
+      TIMEOUT: 'timeout',
+      CANCELLED: 'cancelled',
+    };
 
-    for (let i = 0; i < eventKeys.length; i += 1) {
-      const event = eventKeys[i];
+    this.eventHandlers = new Map();
+    this.middlewares = [];
 
-      this.socket.on(event, events[event]);
-    }
+    this.interceptInboundEvents();
+    this.addEvents(events || {});
+
+    this.socket.on('connect', () => {
+      const isReconnect = this.hasConnected;
+
+      this.hasConnected = true;
+      this.reconnectAttempts = 0;
+      this.setConnectionState(this.ConnectionStateEnum.ONLINE);
+
+      if (isReconnect) {
+        this.restoreSession();
+      } else {
+        this.replayQueue();
+      }
+    });
+
+    this.socket.on('disconnect', (reason) => {
+      // Disconnects made by the client are part of a reconnect and should not trigger a new one
+      if (reason === 'io client disconnect') {
+        return;
+      }
+
+      this.setConnectionState(this.ConnectionStateEnum.OFFLINE);
+      this.scheduleReconnect();
+    });
+
+    this.socket.on('connect_error', () => {
+      this.setConnectionState(this.ConnectionStateEnum.OFFLINE);
+      this.scheduleReconnect();
+    });
+
+    this.socket.on('connect_timeout', () => {
+      this.setConnectionState(this.ConnectionStateEnum.OFFLINE);
+      this.scheduleReconnect();
+    });
+
+    this.socket.on('pong', (latency) => {
+      if (latency > this.degradedLatency) {
+        this.setConnectionState(this.ConnectionStateEnum.DEGRADED);
+      } else {
+        this.setConnectionState(this.ConnectionStateEnum.ONLINE);
+      }
+    });
 
     this.autoReconnect();
   }
 
+  /**
+   * Route all inbound events from the server through middlewares and wildcard handlers
+   * Socket.io has no catch-all listener, so its event handling is wrapped instead
+   * Reserved events (connect, disconnect etc.) are not sent from the server and will not pass through here
+   */
+  interceptInboundEvents() {
+    const onevent = this.socket.onevent;
+
+    this.socket.onevent = (packet) => {
+      const [event, ...args] = packet.data || [];
+
+      for (const middleware of this.middlewares) {
+        if (middleware({ event, args }) === false) {
+          return;
+        }
+      }
+
+      onevent.call(this.socket, packet);
+      this.dispatchEvent('*', [event, ...args]);
+    };
+  }
+
+  /**
+   * Call all handlers for the event. Handlers added with once will be removed
+   * @param {string} event - Name of the event
+   * @param {Array} args - Arguments that will be sent to the handlers
+   */
+  dispatchEvent(event, args) {
+    const handlers = this.eventHandlers.get(event);
+
+    if (!handlers) {
+      return;
+    }
+
+    this.eventHandlers.set(event, handlers.filter(({ once }) => !once));
+
+    for (const { handler } of handlers) {
+      handler(...args);
+    }
+  }
+
+  /**
+   * Add handler for an event. The socket will only listen once to each event, no matter the amount of handlers
+   * @param {Object} params - Parameters
+   * @param {string} params.event - Name of the event. * will match all events from the server
+   * @param {Function} params.handler - Handler
+   * @param {boolean} [params.once] - Should the handler be removed after the first call?
+   */
+  addHandler({ event, handler, once }) {
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, []);
+
+      if (event !== '*') {
+        this.socket.on(event, (...args) => this.dispatchEvent(event, args));
+      }
+    }
+
+    this.eventHandlers.get(event).push({ handler, once: once || false });
+  }
+
+  /**
+   * Listen to event
+   * Handlers for * will be called with the name of the event followed by its arguments
+   * @param {string} event - Name of the event. * will match all events from the server
+   * @param {Function} handler - Handler
+   * @returns {Function} Removes the handler
+   */
+  on(event, handler) {
+    this.addHandler({ event, handler });
+
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Listen to the next occurrence of the event
+   * @param {string} event - Name of the event. * will match all events from the server
+   * @param {Function} handler - Handler
+   * @returns {Function} Removes the handler
+   */
+  once(event, handler) {
+    this.addHandler({ event, handler, once: true });
+
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Stop listening to event with the handler
+   * @param {string} event - Name of the event
+   * @param {Function} handler - Handler to remove
+   */
+  off(event, handler) {
+    const handlers = this.eventHandlers.get(event);
+
+    if (handlers) {
+      this.eventHandlers.set(event, handlers.filter(eventHandler => eventHandler.handler !== handler));
+    }
+  }
+
+  /**
+   * Listen to multiple events. Useful for views, which can remove all their handlers when they are removed
+   * @param {Object} events - Key is the event name and value is the handler
+   * @returns {Function} Removes all the handlers
+   */
+  addEvents(events) {
+    const removers = Object.keys(events).map(event => this.on(event, events[event]));
+
+    return () => {
+      for (const remove of removers) {
+        remove();
+      }
+    };
+  }
+
+  /**
+   * Add middleware that is called with the name and arguments of every inbound event before it reaches the handlers
+   * The event will be dropped if the middleware returns false
+   * @param {Function} middleware - Middleware
+   * @returns {Function} Removes the middleware
+   */
+  use(middleware) {
+    this.middlewares.push(middleware);
+
+    return () => {
+      this.middlewares = this.middlewares.filter(existing => existing !== middleware);
+    };
+  }
+
+  /**
+   * Set new connection state and notify all state listeners, if the state has changed
+   * @param {string} state - New connection state. Should be one of ConnectionStateEnum
+   */
+  setConnectionState(state) {
+    const previousState = this.connectionState;
+
+    if (state === previousState) {
+      return;
+    }
+
+    this.connectionState = state;
+
+    for (const listener of this.stateListeners) {
+      listener({ state, previousState });
+    }
+  }
+
+  /**
+   * Add listener that will be called with the new and previous state every time the connection state changes
+   * @param {Function} listener - Listener
+   */
+  addStateListener(listener) {
+    this.stateListeners.push(listener);
+  }
+
+  /**
+   * Remove connection state listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeStateListener(listener) {
+    this.stateListeners = this.stateListeners.filter(stateListener => stateListener !== listener);
+  }
+
+  /**
+   * Add listener that will be called with the amount of pending emits every time the queue changes
+   * @param {Function} listener - Listener
+   */
+  addQueueListener(listener) {
+    this.queueListeners.push(listener);
+  }
+
+  /**
+   * Remove queue listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeQueueListener(listener) {
+    this.queueListeners = this.queueListeners.filter(queueListener => queueListener !== listener);
+  }
+
+  /**
+   * Add listener that will be called with the server's answer and the time of the last seen message after the session has been restored on reconnect
+   * @param {Function} listener - Listener
+   */
+  addRestoreListener(listener) {
+    this.restoreListeners.push(listener);
+  }
+
+  /**
+   * Remove session restore listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeRestoreListener(listener) {
+    this.restoreListeners = this.restoreListeners.filter(restoreListener => restoreListener !== listener);
+  }
+
+  /**
+   * Get delay before the next reconnect attempt
+   * The delay grows exponentially with each failed attempt. Half of it is randomised, to stop all clients from reconnecting at the same time after a server restart
+   * @returns {number} Delay (ms)
+   */
+  getReconnectDelay() {
+    const delay = Math.min(this.maxReconnectDelay, this.minReconnectDelay * (2 ** this.reconnectAttempts));
+
+    return (delay / 2) + (Math.random() * (delay / 2));
+  }
+
+  /**
+   * Reconnect after a delay. Does nothing if a reconnect is already scheduled
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimeout !== null) {
+      return;
+    }
+
+    const delay = this.getReconnectDelay();
+    this.reconnectAttempts += 1;
+
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.reconnect();
+    }, delay);
+  }
+
   /**
    * Reconnect to socket.io
    */
   reconnect() {
+    if (this.reconnectTimeout !== null) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    this.setConnectionState(this.ConnectionStateEnum.RECONNECTING);
     this.socket.disconnect();
     this.socket.connect({ forceNew: true });
-    this.socket.emit('updateId', {}, () => {
-      // TODO User and device should be sent to server
-      console.log('reconnected');
+  }
+
+  /**
+   * Set the user that is logged in. The user will be sent to the server on reconnect
+   * @param {Object} user - Logged in user. Set to null on logout
+   */
+  setUser(user) {
+    this.user = user;
+
+    if (user && this.canEmit()) {
+      this.replayQueue();
+    }
+  }
+
+  /**
+   * Set time of the last message received from the server. It is used to retrieve missed messages on reconnect
+   * @param {Date|number|string} time - Time of the last received message
+   */
+  updateLastSeen(time) {
+    const lastSeen = (new Date(time)).getTime();
+
+    if (!this.lastSeen || lastSeen > this.lastSeen) {
+      this.lastSeen = lastSeen;
+      storage.setLocalVal('lastSeen', lastSeen);
+    }
+  }
+
+  /**
+   * Send user and device to the server, to restore the session after a reconnect
+   * New emits are queued and the queue is replayed after the server has answered, to make sure that emits are sent in order and as the correct user
+   * The queue is replayed anyway if the server doesn't answer before the timeout
+   */
+  restoreSession() {
+    this.lastRestoreId += 1;
+
+    const restoreId = this.lastRestoreId;
+    let isDone = false;
+    let timer = null;
+    const finish = () => {
+      // A newer reconnect has started its own restore
+      if (isDone || restoreId !== this.lastRestoreId) {
+        return;
+      }
+
+      isDone = true;
+      clearTimeout(timer);
+      this.isRestoring = false;
+      this.replayQueue();
+    };
+
+    this.isRestoring = true;
+
+    timer = setTimeout(() => {
+      console.log('Failed to restore session', 'No answer from the server on updateId');
+      finish();
+    }, this.restoreTimeout);
+
+    // Sent directly through the socket, as emitEvent would queue it behind the emits it should precede
+    this.socket.emit('updateId', {
+      user: this.user ? { userName: this.user.userName } : undefined,
+      device: { deviceId: this.deviceId },
+    }, ({ error, data } = {}) => {
+      if (isDone || restoreId !== this.lastRestoreId) {
+        return;
+      }
+
+      if (error) {
+        console.log('Failed to restore session', error);
+      } else {
+        for (const listener of this.restoreListeners) {
+          listener({ data: data || {}, lastSeen: this.lastSeen });
+        }
+      }
+
+      finish();
     });
   }
 
+  /**
+   * @returns {boolean} Can emits be sent now? False while disconnected or restoring the session
+   */
+  canEmit() {
+    return this.socket.connected && !this.isRestoring;
+  }
+
   /**
    * Emit event through socket.io
+   * The emit will be queued and sent on reconnect if the socket is disconnected or the session is being restored
    * @param {string} event - Event to emit
    * @param {Object} [params] - Parameters to send in the emit
    * @param {Function} [callback] - Callback
    */
   emitEvent(event, params, callback) {
-    if (!callback) {
+    if (!this.canEmit()) {
+      this.queueEmit({ event, params, callback });
+    } else if (!callback) {
       this.socket.emit(event, params);
     } else {
       this.socket.emit(event, params, callback);
     }
   }
 
+  /**
+   * Add emit to the queue. The queue is stored in local storage, to survive page reloads
+   * Callbacks can't be stored. Answers to emits that were stored before a reload are sent to the result handler of the event instead
+   * @param {Object} params - Parameters
+   * @param {string} params.event - Event to emit
+   * @param {Object} [params.params] - Parameters to send in the emit
+   * @param {Function} [params.callback] - Callback
+   * @param {boolean} [params.persist] - Should the emit be stored in local storage? Set to false for emits with passwords or tokens. They are lost on page reload
+   * @returns {number} Id of the queued emit
+   */
+  queueEmit({ event, params, callback, persist = true }) {
+    this.lastQueueId += 1;
+
+    const queueId = this.lastQueueId;
+
+    this.queue.push({
+      queueId,
+      event,
+      params,
+      persist,
+      hasCallback: Boolean(callback),
+      queuedAt: (new Date()).getTime(),
+    });
+
+    if (callback) {
+      this.queuedCallbacks.set(queueId, callback);
+    }
+
+    this.saveQueue();
+
+    return queueId;
+  }
+
+  /**
+   * Remove emit from the queue
+   * @param {number} queueId - Id of the queued emit
+   */
+  removeQueuedEmit(queueId) {
+    const queueLength = this.queue.length;
+
+    this.queue = this.queue.filter(queued => queued.queueId !== queueId);
+    this.queuedCallbacks.delete(queueId);
+
+    if (this.queue.length !== queueLength) {
+      this.saveQueue();
+    }
+  }
+
+  /**
+   * Set handler for answers to stored emits of the event, as their callbacks are lost when the page is reloaded
+   * The handler is called with error and data from the server and the params that were sent
+   * @param {string} event - Name of the event
+   * @param {Function} handler - Handler
+   * @returns {Function} Removes the handler
+   */
+  setResultHandler(event, handler) {
+    this.resultHandlers.set(event, handler);
+
+    return () => {
+      if (this.resultHandlers.get(event) === handler) {
+        this.resultHandlers.delete(event);
+      }
+    };
+  }
+
+  /**
+   * Get callback for a queued emit. Emits stored before a reload get one that calls the result handler of the event
+   * @param {Object} queued - Queued emit
+   * @returns {Function|null} Callback. null if the emit doesn't expect an answer or there is no one to handle it
+   */
+  getQueuedCallback(queued) {
+    const callback = this.queuedCallbacks.get(queued.queueId);
+    const resultHandler = this.resultHandlers.get(queued.event);
+
+    if (callback) {
+      return callback;
+    } else if (queued.hasCallback && resultHandler) {
+      return ({ error, data } = {}) => resultHandler({ error, data, params: queued.params });
+    }
+
+    return null;
+  }
+
+  /**
+   * Emit all queued emits, in the order that they were queued
+   * Emits stored before a page reload are held until a user is logged in, as they would otherwise reach the server before the login
+   * Stops if the socket is disconnected during the replay. The rest will be sent on next reconnect
+   */
+  replayQueue() {
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const heldQueue = [];
+
+    while (this.queue.length > 0 && this.canEmit()) {
+      const queued = this.queue.shift();
+
+      if (queued.isStored && !this.user) {
+        heldQueue.push(queued);
+      } else {
+        const callback = this.getQueuedCallback(queued);
+
+        this.queuedCallbacks.delete(queued.queueId);
+
+        if (!callback) {
+          this.socket.emit(queued.event, queued.params);
+        } else {
+          this.socket.emit(queued.event, queued.params, callback);
+        }
+      }
+    }
+
+    this.queue = heldQueue.concat(this.queue);
+    this.saveQueue();
+  }
+
+  /**
+   * Store the queue in local storage and notify queue listeners about the change
+   */
+  saveQueue() {
+    const storedQueue = this.queue.filter(queued => queued.persist !== false);
+
+    if (storedQueue.length > 0) {
+      storage.setLocalVal(this.queueName, storedQueue);
+    } else {
+      storage.removeLocalVal(this.queueName);
+    }
+
+    for (const listener of this.queueListeners) {
+      listener(this.getPendingCount());
+    }
+  }
+
+  /**
+   * Emit event through socket.io and wait for the server to answer
+   * The promise is resolved with data and rejected with error from the server's answer
+   * It is also rejected with an error of type RequestErrorEnum.TIMEOUT if there's no answer before the timeout or RequestErrorEnum.CANCELLED if it is cancelled
+   * The returned promise has a cancel function, which will remove the emit from the queue, if it hasn't been sent yet, and ignore any late answer
+   * @param {Object} params - Parameters
+   * @param {string} params.event - Event to emit
+   * @param {Object} [params.params] - Parameters to send in the emit
+   * @param {number} [params.timeout] - Time (ms) to wait for an answer. Overrides event and default timeouts
+   * @param {boolean} [params.persist] - Should the emit be stored in local storage if it is queued? Set to false for requests with passwords or tokens
+   * @returns {Promise} Resolved with data from the server
+   */
+  emitRequest({ event, params, timeout, persist }) {
+    const timeoutTime = timeout || this.eventTimeouts[event] || this.defaultTimeout;
+    let cancel = null;
+
+    const promise = new Promise((resolve, reject) => {
+      let isDone = false;
+      let timer = null;
+      let queueId = null;
+      const finish = ({ error, data }) => {
+        if (isDone) {
+          return;
+        }
+
+        isDone = true;
+        clearTimeout(timer);
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(data);
+        }
+      };
+      const callback = ({ error, data } = {}) => finish({ error, data });
+
+      timer = setTimeout(() => {
+        if (queueId !== null) {
+          this.removeQueuedEmit(queueId);
+        }
+
+        finish({ error: { type: this.RequestErrorEnum.TIMEOUT, text: [`No answer from the server on ${event}`] } });
+      }, timeoutTime);
+
+      cancel = () => {
+        if (queueId !== null) {
+          this.removeQueuedEmit(queueId);
+        }
+
+        finish({ error: { type: this.RequestErrorEnum.CANCELLED, text: [`${event} was cancelled`] } });
+      };
+
+      if (this.canEmit()) {
+        this.socket.emit(event, params, callback);
+      } else {
+        queueId = this.queueEmit({ event, params, callback, persist });
+      }
+    });
+
+    promise.cancel = cancel;
+
+    return promise;
+  }
+
+  /**
+   * Get the amount of queued emits that have not yet been sent
+   * @returns {number} Amount of queued emits
+   */
+  getPendingCount() {
+    return this.queue.length;
+  }
+
   /**
    * Checks if the screen has been unresponsive for some time.
    * Some devices disable Javascript when screen is off (iOS)
@@ -73,7 +679,7 @@ class SocketManager {
       this.reconnect();
     }
 
-    setTimeout(this.autoReconnect, 1000);
+    setTimeout(() => this.autoReconnect(), 1000);
   }
 }
 
@@ -0,0 +1,151 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const geoTools = require('./worldMap/geoTools');
+
+/**
+ * Checks if the user's position is inside any of the polygons (zones) on the map
+ * Entering or leaving a zone notifies zone listeners and is reported to the server, if the user is sharing the position
+ * Works without the map being shown
+ */
+class ZoneWatcher {
+  /**
+   * @param {Object} params - Parameters
+   * @param {SocketManager} params.socketManager - Socket manager used to retrieve zones and report changes
+   * @param {PositionTracker} params.positionTracker - Tracker of the user's position
+   * @param {number} [params.maxAccuracy] - Positions with worse accuracy (meters) than this are ignored, to avoid zones flickering
+   */
+  constructor({ socketManager, positionTracker, maxAccuracy }) {
+    this.socketManager = socketManager;
+    this.positionTracker = positionTracker;
+    this.maxAccuracy = maxAccuracy || 50;
+    this.zones = new Map();
+    this.currentZones = new Set();
+    this.zoneListeners = [];
+    this.isWatching = false;
+    this.removeEvents = () => {};
+    this.positionListener = position => this.checkPosition(position);
+  }
+
+  /**
+   * Retrieve zones from the server and start checking the user's position against them
+   */
+  startWatching() {
+    if (this.isWatching) {
+      return;
+    }
+
+    this.isWatching = true;
+    this.positionTracker.addPositionListener(this.positionListener);
+    this.removeEvents = this.socketManager.addEvents({
+      mapPositions: ({ positions }) => this.setZones(positions),
+    });
+
+    this.socketManager.emitRequest({ event: 'getMapPositions', params: { types: ['static'] } })
+      .then(({ positions }) => this.setZones(positions))
+      .catch(error => console.log('Failed to retrieve zones', error));
+  }
+
+  /**
+   * Stop checking the user's position. The user is considered to have left all zones, without notifying anyone
+   */
+  stopWatching() {
+    this.isWatching = false;
+    this.positionTracker.removePositionListener(this.positionListener);
+    this.removeEvents();
+    this.removeEvents = () => {};
+    this.currentZones.clear();
+  }
+
+  /**
+   * Add or update zones from map positions. Positions that aren't polygons are ignored
+   * @param {Object[]} [positions] - Map positions
+   */
+  setZones(positions) {
+    for (const mapPosition of positions || []) {
+      if (mapPosition.geometry === 'polygon') {
+        this.zones.set(mapPosition.positionName, geoTools.toPositions(mapPosition.position.coordsCollection));
+      }
+    }
+
+    if (this.positionTracker.getPosition()) {
+      this.checkPosition(this.positionTracker.getPosition());
+    }
+  }
+
+  /**
+   * Check which zones the position is inside and notify about zones that have been entered or left
+   * @param {{latitude: number, longitude: number, accuracy: number}} position - Position of the user
+   */
+  checkPosition(position) {
+    if (!this.isWatching || position.accuracy > this.maxAccuracy) {
+      return;
+    }
+
+    for (const [zoneName, path] of this.zones) {
+      const isInside = geoTools.isPointInPolygon(position, path);
+
+      if (isInside && !this.currentZones.has(zoneName)) {
+        this.currentZones.add(zoneName);
+        this.changeZone({ zoneName, hasEntered: true });
+      } else if (!isInside && this.currentZones.has(zoneName)) {
+        this.currentZones.delete(zoneName);
+        this.changeZone({ zoneName, hasEntered: false });
+      }
+    }
+  }
+
+  /**
+   * Notify zone listeners and report to the server that a zone has been entered or left
+   * @param {Object} params - Parameters
+   * @param {string} params.zoneName - Name of the zone
+   * @param {boolean} params.hasEntered - Has the zone been entered? False if it has been left
+   */
+  changeZone({ zoneName, hasEntered }) {
+    for (const listener of this.zoneListeners) {
+      listener({ zoneName, hasEntered });
+    }
+
+    if (this.positionTracker.isSharing) {
+      this.socketManager.emitEvent('zoneChange', { zone: { zoneName }, hasEntered });
+    }
+  }
+
+  /**
+   * @returns {string[]} Names of the zones that the user is inside
+   */
+  getCurrentZones() {
+    return Array.from(this.currentZones);
+  }
+
+  /**
+   * Add listener that will be called with the name of the zone and if it has been entered or left
+   * @param {Function} listener - Listener
+   */
+  addZoneListener(listener) {
+    this.zoneListeners.push(listener);
+  }
+
+  /**
+   * Remove zone listener
+   * @param {Function} listener - Listener to remove
+   */
+  removeZoneListener(listener) {
+    this.zoneListeners = this.zoneListeners.filter(zoneListener => zoneListener !== listener);
+  }
+}
+
+module.exports = ZoneWatcher;
@@ -45,4 +45,42 @@ function match(partial, items) {
   return matched;
 }
 
+/**
+ * Score how well a partial string matches a text. All characters in the partial string have to exist in the same order in the text
+ * A match at the start of the text scores highest, followed by a match anywhere in the text and then by scattered characters
+ * @param {string} partial - Partial string to match
+ * @param {string} text - Text to match against
+ * @returns {number} - Score. 0 if the text doesn't match
+ */
+function fuzzyScore(partial, text) {
+  const lowerPartial = partial.toLowerCase();
+  const lowerText = (text || '').toLowerCase();
+  const index = lowerText.indexOf(lowerPartial);
+  let position = -1;
+  let gaps = 0;
+
+  if (lowerPartial === '') {
+    return 0;
+  } else if (index === 0) {
+    return 3;
+  } else if (index > 0) {
+    return 2;
+  }
+
+  for (const char of lowerPartial) {
+    const nextPosition = lowerText.indexOf(char, position + 1);
+
+    if (nextPosition === -1) {
+      return 0;
+    } else if (position > -1 && nextPosition > position + 1) {
+      gaps += 1;
+    }
+
+    position = nextPosition;
+  }
+
+  return 1 / (1 + gaps);
+}
+
 exports.match = match;
+exports.fuzzyScore = fuzzyScore;
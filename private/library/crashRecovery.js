@@ -0,0 +1,123 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const storage = require('./storage');
+
+/**
+ * Name of the item in local storage that contains the state before the crash
+ * @private
+ * @type {string}
+ */
+const snapshotName = 'crashSnapshot';
+/**
+ * Name of the item in local storage that contains the times of recent crashes
+ * @private
+ * @type {string}
+ */
+const crashesName = 'crashes';
+/**
+ * Crashes older than this (ms) are forgotten
+ * @private
+ * @type {Number}
+ */
+const crashWindow = 2 * 60 * 1000;
+/**
+ * Amount of crashes within the crash window before the client stops reloading
+ * @private
+ * @type {Number}
+ */
+const maxCrashes = 3;
+
+/**
+ * Get times of crashes within the crash window
+ * @private
+ * @returns {number[]} Times of recent crashes
+ */
+function getRecentCrashes() {
+  const now = (new Date()).getTime();
+  const crashes = storage.getLocalVal(crashesName) || [];
+
+  return crashes.filter(crashTime => now - crashTime < crashWindow);
+}
+
+/**
+ * Store time of a crash
+ * @static
+ * @returns {number} Amount of crashes within the crash window, including this one
+ */
+function recordCrash() {
+  const crashes = getRecentCrashes();
+
+  crashes.push((new Date()).getTime());
+  storage.setLocalVal(crashesName, crashes);
+
+  return crashes.length;
+}
+
+/**
+ * @static
+ * @returns {number} Amount of crashes within the crash window
+ */
+function getCrashCount() {
+  return getRecentCrashes().length;
+}
+
+/**
+ * Has the client crashed too many times in a short time?
+ * The client should stop reloading and enter safe mode, to avoid a reload loop
+ * @static
+ * @returns {boolean} Has the client crashed too many times?
+ */
+function isCrashLooping() {
+  return getRecentCrashes().length >= maxCrashes;
+}
+
+/**
+ * Forget all stored crashes
+ * @static
+ */
+function clearCrashes() {
+  storage.removeLocalVal(crashesName);
+}
+
+/**
+ * Store state of the client, so that it can be restored after restart
+ * @static
+ * @param {Object} snapshot - State of the client
+ */
+function saveSnapshot(snapshot) {
+  storage.setLocalVal(snapshotName, snapshot);
+}
+
+/**
+ * Retrieve and remove stored state of the client
+ * @static
+ * @returns {Object|null} State of the client. null if there is no stored state
+ */
+function retrieveSnapshot() {
+  const snapshot = storage.getLocalVal(snapshotName);
+
+  storage.removeLocalVal(snapshotName);
+
+  return snapshot;
+}
+
+exports.recordCrash = recordCrash;
+exports.getCrashCount = getCrashCount;
+exports.isCrashLooping = isCrashLooping;
+exports.clearCrashes = clearCrashes;
+exports.saveSnapshot = saveSnapshot;
+exports.retrieveSnapshot = retrieveSnapshot;
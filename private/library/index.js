@@ -1,5 +1,9 @@
 exports.SoundElement = require('./audio/SoundElement');
 exports.SoundLibrary = require('./audio/SoundLibrary');
 exports.DialogBox = require('./view/DialogBox');
+exports.ChatView = require('./view/ChatView');
+exports.MapView = require('./view/MapView');
+exports.DiagramView = require('./view/DiagramView');
 exports.SocketManager = require('./SocketManager');
-
+exports.PositionTracker = require('./PositionTracker');
+exports.ZoneWatcher = require('./ZoneWatcher');
@@ -105,6 +105,7 @@ function setCurrentInput(input) {
 }
 
 exports.setCommandInput = setInputText;
+exports.getInputText = getInputText;
 exports.clearInput = clearInput;
 exports.focusInput = focusInput;
 exports.blurInput = blurInput;
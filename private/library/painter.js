@@ -20,26 +20,83 @@
  * @private
  * @type {CanvasRenderingContext2D}
  */
-const context = null;
-// const context = (document.getElementById('canvas')).getContext('2d');
+let context = null;
 /**
+ * Element that the canvas is sized after
  * @private
  * @type {HTMLElement}
  */
-const paintArea = document.getElementById('central');
+let paintArea = null;
 
 /**
- * All objects in the scene (including out of view)
+ * All objects in the scene (including out of view), with objId as key. Objects are drawn in the order they were added
  * @private
+ * @type {Map}
+ */
+const objects = new Map();
+
+/**
+ * Has a redraw been requested for the next animation frame?
+ * @private
+ * @type {boolean}
+ */
+let isRedrawRequested = false;
+
+/**
+ * Get color from a custom property set in main.scss
+ * @private
+ * @param {string} propertyName - Name of the custom property
+ * @returns {string} Color
+ */
+function getThemeColor(propertyName) {
+  return window.getComputedStyle(document.documentElement).getPropertyValue(propertyName).trim();
+}
+
+/**
+ * Colors from main.scss, so that drawings match the rest of the terminal
+ * They are read from the stylesheet every time they are used
+ * @static
  * @type {Object}
  */
-const objects = {};
+const palette = {
+  get textColor() { return getThemeColor('--text-color'); },
+  get secondColor() { return getThemeColor('--second-color'); },
+  get backColor() { return getThemeColor('--back-color'); },
+  get backButton() { return getThemeColor('--back-button'); },
+  get backInput() { return getThemeColor('--back-input'); },
+};
+
+/**
+ * Style used for the properties that are not set on an object
+ * @private
+ * @type {Object}
+ */
+const defaultStyle = {
+  get strokeColor() { return palette.textColor; },
+  get fillColor() { return palette.backInput; },
+  get textColor() { return palette.textColor; },
+  lineWidth: 2,
+  opacity: 1,
+};
+
+/**
+ * Length in pixels of the sides of arrowheads
+ * @private
+ * @type {Number}
+ */
+const arrowSize = 10;
 
 /**
  * @private
  * @type {Number}
  */
-const lineWidth = 2;
+const fontSize = 14;
+
+/**
+ * @private
+ * @type {string}
+ */
+const fontFamily = 'GlassTTYVT220, monospace';
 
 /**
  * Draw the inside of the object
@@ -72,84 +129,133 @@ function drawObject(params) {
   const shouldStroke = params.shouldStroke;
   const shouldFill = params.shouldFill;
 
+  // Filled first, to keep the outline visible
+  if (shouldFill) {
+    fillObject(obj);
+  }
+
   if (shouldStroke) {
     strokeObject(obj);
   }
+}
 
-  if (shouldFill) {
-    fillObject(obj);
-  }
+/**
+ * Use the style of the object for the following drawing. Properties that are not set on the object use the default style
+ * Should be called between context.save and context.restore
+ * @private
+ * @param {Object} obj - Object in the scene
+ */
+function applyStyle(obj) {
+  const getValue = key => (obj[key] !== undefined ? obj[key] : defaultStyle[key]);
+
+  context.strokeStyle = getValue('strokeColor');
+  context.fillStyle = getValue('fillColor');
+  context.lineWidth = getValue('lineWidth');
+  context.globalAlpha = getValue('opacity');
+  context.font = `${fontSize}px ${fontFamily}`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
 }
 
 /**
- * Create and draw a rectangle
- * @static
+ * Draw text centered on a point
+ * @private
  * @param {Object} params - Parameters
- * @param {Number} params.x - X coordinate of the upper left corner
- * @param {Number} params.y - Y coordiantes of the upper left corner
- * @param {Number} params.width - Width of the object in pixels
- * @param {Number} params.height - Height of the object in pixels
- * @param {objId} params.objId - Name identifier of the object
- * @param {boolean} params.shouldStroke - Should the outline of the object be drawn?
- * @param {boolean} params.shouldFill - Should the inside of the object be drawn?
+ * @param {string} params.text - Text to draw
+ * @param {{x: Number, y: Number}} params.center - Point that the text is centered on
+ * @param {string} [params.textColor] - Color of the text
+ * @param {boolean} [params.hasBackground] - Should the area behind the text be painted with the background color, to make it readable on top of lines?
  */
-function createRect(params) {
-  const x = params.x;
-  const y = params.y;
-  const width = params.width;
-  const height = params.height;
-  const obj = new Path2D();
-  const objId = params.objId;
-
-  // clearExisting(rectangles[objId]);
-  obj.rect(x, y, width, height);
-  drawObject({
-    obj,
-    shouldStroke: params.shouldStroke,
-    shouldFill: params.shouldFill,
-  });
+function drawText({ text, center, textColor, hasBackground }) {
+  if (hasBackground) {
+    const textWidth = context.measureText(text).width;
 
-  objects[objId] = {
-    type: 'rect',
-    x,
-    y,
-    width,
-    height,
-    stroke: params.shouldStroke,
-  };
+    context.fillStyle = palette.backColor;
+    context.fillRect(center.x - (textWidth / 2) - 2, center.y - (fontSize / 2) - 2, textWidth + 4, fontSize + 4);
+  }
+
+  context.fillStyle = textColor || defaultStyle.textColor;
+  context.fillText(text, center.x, center.y);
 }
 
 /**
- * @static
- * @param {Object} params - Parameters
- * @param {Number} params.x - X coordinate of the center of the circle
- * @param {Number} params.y - Y coordiantes of the center of the circle
- * @param {Number} params.width - Radius of the circle
- * @param {objId} params.objId - Name identifier of the object
- * @param {boolean} params.shouldStroke - Should the outline of the object be drawn?
- * @param {boolean} params.shouldFill - Should the inside of the object be drawn?
- * @param {number} params.radius - Radius of the circle
+ * Returns center of a circle or rectangular object
+ * @private
+ * @param {Object} obj - 2D object
+ * @returns {{x: Number, y: Number}} - x and y coordinates of the center of the object
  */
-function createCircle(params) {
-  const x = params.x;
-  const y = params.y;
-  const radius = params.radius;
-  const objId = params.objId;
-  const obj = new Path2D();
-
-  // clearExisting(circles[objId], 'circle');
-  obj.arc(x, y, radius, 0, Math.PI * 2);
-  drawObject({
-    obj,
-    shouldStroke: params.shouldStroke,
-    shouldFill: params.shouldFill,
-  });
+function getShapeCenter(obj) {
+  if (obj.type === 'circle') {
+    return { x: obj.x, y: obj.y };
+  }
 
-  objects[objId] = {
-    type: 'circle',
-    x,
-    y,
-    radius,
+  return { x: obj.x + (obj.width / 2), y: obj.y + (obj.height / 2) };
+}
+
+/**
+ * @private
+ * @param {{from: {x: Number, y: Number}, to: {x: Number, y: Number}}} ends - X and y coordinates of both ends of a line
+ * @returns {{x: Number, y: Number}} - x and y coordinates of the middle of the line
+ */
+function getMidpoint(ends) {
+  return { x: (ends.from.x + ends.to.x) / 2, y: (ends.to.y + ends.from.y) / 2 };
+}
+
+/**
+ * Returns the point where a line from the center of the object towards the target leaves the object
+ * Lines are connected at their middle
+ * @private
+ * @param {Object} obj - 2D object
+ * @param {{x: Number, y: Number}} center - x and y coordinates of the center of the object
+ * @param {{x: Number, y: Number}} target - x and y coordinates that the line goes towards
+ * @returns {{x: Number, y: Number}} - x and y coordinates of the point on the edge of the object
+ */
+function getEdgePoint(obj, center, target) {
+  const diffX = target.x - center.x;
+  const diffY = target.y - center.y;
+
+  if (diffX === 0 && diffY === 0) {
+    return center;
+  }
+
+  switch (obj.type) {
+    case 'circle': {
+      const scale = obj.radius / Math.sqrt((diffX * diffX) + (diffY * diffY));
+
+      return { x: center.x + (diffX * scale), y: center.y + (diffY * scale) };
+    }
+    case 'line': {
+      return center;
+    }
+    default: {
+      // Shortest distance, along the line, to one of the sides
+      const scale = Math.min(diffX !== 0 ? (obj.width / 2) / Math.abs(diffX) : Infinity, diffY !== 0 ? (obj.height / 2) / Math.abs(diffY) : Infinity);
+
+      return { x: center.x + (diffX * scale), y: center.y + (diffY * scale) };
+    }
+  }
+}
+
+/**
+ * Returns both ends of a line. Lines between objects are attached to the current positions of the objects
+ * Lines attached to other lines are attached to their middle
+ * @private
+ * @param {Object} obj - Line object
+ * @returns {{from: {x: Number, y: Number}, to: {x: Number, y: Number}}} - X and y coordinates of both ends of the line
+ */
+function getLineEnds(obj) {
+  if (!obj.fromObjId || !obj.toObjId) {
+    return { from: obj.from, to: obj.to };
+  }
+
+  const fromObj = objects.get(obj.fromObjId);
+  const toObj = objects.get(obj.toObjId);
+  const fromCenter = fromObj.type === 'line' ? getMidpoint(getLineEnds(fromObj)) : getShapeCenter(fromObj);
+  const toCenter = toObj.type === 'line' ? getMidpoint(getLineEnds(toObj)) : getShapeCenter(toObj);
+
+  return {
+    from: getEdgePoint(fromObj, fromCenter, toCenter),
+    to: getEdgePoint(toObj, toCenter, fromCenter),
   };
 }
 
@@ -162,78 +268,346 @@ function createCircle(params) {
  * @returns {{x: Number, y: Number}} - x and y coordinates of the center of the object
  */
 function getCenter(obj) {
-  const type = obj.type;
+  return obj.type === 'line' ? getMidpoint(getLineEnds(obj)) : getShapeCenter(obj);
+}
+
+/**
+ * Create the 2D path of an object. Lines between objects are attached to the current positions of the objects
+ * @private
+ * @param {Object} obj - Object in the scene
+ * @returns {Path2D} 2D path
+ */
+function createPath(obj) {
+  const path = new Path2D();
 
-  switch (type) {
+  switch (obj.type) {
     case 'circle': {
-      return { x: obj.x, y: obj.y };
+      path.arc(obj.x, obj.y, obj.radius, 0, Math.PI * 2);
+
+      break;
     }
     case 'line': {
-      return { x: (obj.from.x + obj.to.x) / 2, y: (obj.to.y + obj.from.y) / 2 };
+      const points = getLineEnds(obj);
+
+      path.moveTo(points.from.x, points.from.y);
+      path.lineTo(points.to.x, points.to.y);
+
+      break;
     }
     default: {
-      return { x: obj.x + (obj.width / 2), y: obj.y + (obj.height / 2) };
+      path.rect(obj.x, obj.y, obj.width, obj.height);
+
+      break;
     }
   }
+
+  return path;
 }
 
-// function getEdgePoint(obj, target) {
-//   const type = obj.type;
+/**
+ * Create the 2D path of an arrowhead at the end of a line
+ * @private
+ * @param {{x: Number, y: Number}} from - Point that the line comes from
+ * @param {{x: Number, y: Number}} to - Point that the arrow points to
+ * @returns {Path2D} 2D path
+ */
+function createArrowPath(from, to) {
+  const path = new Path2D();
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  const spread = Math.PI / 7;
 
-//   switch (type) {
-//     case 'circle': {
+  path.moveTo(to.x, to.y);
+  path.lineTo(to.x - (arrowSize * Math.cos(angle - spread)), to.y - (arrowSize * Math.sin(angle - spread)));
+  path.lineTo(to.x - (arrowSize * Math.cos(angle + spread)), to.y - (arrowSize * Math.sin(angle + spread)));
+  path.closePath();
 
-//     }
-//     case 'line': {
-//     }
-//     default: {
-//     }
-//   }
-// }
+  return path;
+}
 
 /**
+ * Draw a line with its dash pattern, arrowheads and text
+ * The text is drawn in the middle of the line, on top of a gap in the line
  * @private
- * @param {Number} sentX - x
- * @param {Number} sentY - y
- * @returns {{x: Number, y: Number}} - x and y coordinates
+ * @param {Object} obj - Line object
  */
-function createVector(sentX, sentY) {
-  const scale = Math.sqrt((sentX * sentX) + (sentY * sentY));
-  const x = sentX / scale;
-  const y = sentY / scale;
+function drawLine(obj) {
+  const ends = getLineEnds(obj);
+
+  context.setLineDash(obj.lineDash || []);
+  strokeObject(createPath(obj));
+  context.setLineDash([]);
+  context.fillStyle = context.strokeStyle;
+
+  if (obj.arrow === 'end' || obj.arrow === 'both') {
+    fillObject(createArrowPath(ends.from, ends.to));
+  }
+
+  if (obj.arrow === 'start' || obj.arrow === 'both') {
+    fillObject(createArrowPath(ends.to, ends.from));
+  }
 
-  return { x, y };
+  if (obj.text) {
+    drawText({ text: obj.text, center: getCenter(obj), textColor: obj.textColor, hasBackground: true });
+  }
 }
 
 /**
- * Returns x and y points for both ends of a line from two object
+ * Clear the canvas and draw all objects in the scene
+ * @static
+ */
+function redraw() {
+  isRedrawRequested = false;
+
+  if (!context) {
+    return;
+  }
+
+  context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+
+  for (const obj of objects.values()) {
+    context.save();
+    applyStyle(obj);
+
+    if (obj.type === 'line') {
+      drawLine(obj);
+    } else {
+      drawObject({
+        obj: createPath(obj),
+        shouldStroke: obj.shouldStroke,
+        shouldFill: obj.shouldFill,
+      });
+
+      if (obj.text) {
+        drawText({ text: obj.text, center: getCenter(obj), textColor: obj.textColor });
+      }
+    }
+
+    context.restore();
+  }
+}
+
+/**
+ * Redraw the scene on the next animation frame. Several changes in a row will only cause one redraw
  * @private
- * @param {Object} fromObjId - Id of the object at the start of the line
- * @param {Object} toObjId - Id of the object at the end of the line
- * @returns {{from: {x: Number, y: Number}, to: {x: Number, y: Number}}} - X and y coordinates where the line connects from both objects
  */
-function getLinePoints(fromObjId, toObjId) {
-  const fromObj = objects[fromObjId];
-  const toObj = objects[toObjId];
-  const fromCenter = getCenter(fromObj);
-  const toCenter = getCenter(toObj);
-  const vector = createVector(toCenter.x - fromCenter.x, toCenter.y - fromCenter.y);
+function requestRedraw() {
+  if (!isRedrawRequested) {
+    isRedrawRequested = true;
+    requestAnimationFrame(redraw);
+  }
+}
+
+/**
+ * Change properties of an object in the scene, such as its position or size
+ * Lines connected to the object follow it
+ * @static
+ * @param {Object} params - Parameters
+ * @param {string} params.objId - Id of the object
+ * @param {Object} params.changes - Properties to change. Same as the ones sent on creation, except type and objId
+ * @returns {boolean} Did the object exist?
+ */
+function updateObject({ objId, changes }) {
+  const obj = objects.get(objId);
 
-  return {
-    from: {
-      x: fromCenter.x + (fromObj.radius * vector.x),
-      y: fromCenter.y + (fromObj.radius * vector.y),
-    },
-    to: {
-      x: toCenter.x - (toObj.radius * vector.x),
-      y: toCenter.y - (toObj.radius * vector.y),
-    },
-  };
+  if (!obj) {
+    return false;
+  }
+
+  Object.assign(obj, changes, { type: obj.type });
+  requestRedraw();
+
+  return true;
+}
+
+/**
+ * Remove an object from the scene. Lines connected to the object, directly or through other lines, are also removed
+ * @static
+ * @param {string} objId - Id of the object
+ * @returns {boolean} Did the object exist?
+ */
+function removeObject(objId) {
+  if (!objects.has(objId)) {
+    return false;
+  }
+
+  objects.delete(objId);
+
+  // Lines can be attached to other lines, so lines attached to the removed lines are removed as well
+  for (const [lineId, obj] of objects) {
+    if (obj.type === 'line' && (obj.fromObjId === objId || obj.toObjId === objId)) {
+      removeObject(lineId);
+    }
+  }
+
+  requestRedraw();
+
+  return true;
+}
+
+/**
+ * Remove all objects from the scene
+ * @static
+ */
+function removeAllObjects() {
+  objects.clear();
+  requestRedraw();
+}
+
+/**
+ * @static
+ * @param {string} objId - Id of the object
+ * @returns {Object|undefined} Copy of the object. undefined if it doesn't exist
+ */
+function getObject(objId) {
+  const obj = objects.get(objId);
+
+  return obj ? Object.assign({ objId }, obj) : undefined;
+}
+
+/**
+ * Get the shortest distance from a point to a line segment
+ * @private
+ * @param {{x: Number, y: Number}} point - Point
+ * @param {{x: Number, y: Number}} from - Start of the segment
+ * @param {{x: Number, y: Number}} to - End of the segment
+ * @returns {Number} Distance in pixels
+ */
+function getSegmentDistance(point, from, to) {
+  const lengthSquared = ((to.x - from.x) * (to.x - from.x)) + ((to.y - from.y) * (to.y - from.y));
+  let fraction = 0;
+
+  if (lengthSquared > 0) {
+    fraction = Math.max(0, Math.min(1, (((point.x - from.x) * (to.x - from.x)) + ((point.y - from.y) * (to.y - from.y))) / lengthSquared));
+  }
+
+  const closestX = from.x + (fraction * (to.x - from.x));
+  const closestY = from.y + (fraction * (to.y - from.y));
+
+  return Math.sqrt(((point.x - closestX) * (point.x - closestX)) + ((point.y - closestY) * (point.y - closestY)));
+}
+
+/**
+ * Is the point on the object? Lines are hit if the point is within the tolerance
+ * @private
+ * @param {Object} obj - Object in the scene
+ * @param {{x: Number, y: Number}} point - Point
+ * @param {Number} tolerance - Max distance in pixels from a line
+ * @returns {boolean} Is the point on the object?
+ */
+function isHit(obj, point, tolerance) {
+  switch (obj.type) {
+    case 'circle': {
+      return Math.sqrt(((point.x - obj.x) * (point.x - obj.x)) + ((point.y - obj.y) * (point.y - obj.y))) <= obj.radius;
+    }
+    case 'line': {
+      const points = getLineEnds(obj);
+
+      return getSegmentDistance(point, points.from, points.to) <= tolerance;
+    }
+    default: {
+      return point.x >= obj.x && point.x <= obj.x + obj.width && point.y >= obj.y && point.y <= obj.y + obj.height;
+    }
+  }
 }
 
 /**
- * Creates a line between two objects OR two points
- * The line, if between two objects, will be drawn to the edges of the objects
+ * Get the object at a point on the canvas. Objects drawn last (on top) are checked first
+ * @static
+ * @param {Object} params - Parameters
+ * @param {Number} params.x - X coordinate on the canvas
+ * @param {Number} params.y - Y coordinate on the canvas
+ * @param {string[]} [params.types] - Types of objects to check (rect|circle|line). Defaults to all types
+ * @param {Number} [params.tolerance] - Max distance in pixels from a line. Defaults to 5
+ * @returns {string|null} Id of the object. null if there is no object at the point
+ */
+function getObjectAt({ x, y, types, tolerance }) {
+  const entries = Array.from(objects).reverse();
+  const hit = entries.find(([, obj]) => (!types || types.indexOf(obj.type) > -1) && isHit(obj, { x, y }, tolerance || 5));
+
+  return hit ? hit[0] : null;
+}
+
+/**
+ * Get the style properties that are set in the parameters
+ * @private
+ * @param {Object} params - Parameters sent on creation
+ * @returns {Object} Style properties
+ */
+function getStyleParams(params) {
+  const style = {};
+
+  for (const key of Object.keys(defaultStyle).concat(['text'])) {
+    if (params[key] !== undefined) {
+      style[key] = params[key];
+    }
+  }
+
+  return style;
+}
+
+/**
+ * Create and add a rectangle to the scene. An existing object with the same objId is replaced
+ * @static
+ * @param {Object} params - Parameters
+ * @param {Number} params.x - X coordinate of the upper left corner
+ * @param {Number} params.y - Y coordiantes of the upper left corner
+ * @param {Number} params.width - Width of the object in pixels
+ * @param {Number} params.height - Height of the object in pixels
+ * @param {objId} params.objId - Name identifier of the object
+ * @param {boolean} params.shouldStroke - Should the outline of the object be drawn?
+ * @param {boolean} params.shouldFill - Should the inside of the object be drawn?
+ * @param {string} [params.strokeColor] - Color of the outline
+ * @param {string} [params.fillColor] - Color of the inside
+ * @param {Number} [params.lineWidth] - Width of the outline in pixels
+ * @param {Number} [params.opacity] - Opacity (0-1) of the object
+ * @param {string} [params.text] - Text drawn in the middle of the object
+ * @param {string} [params.textColor] - Color of the text
+ */
+function createRect(params) {
+  objects.set(params.objId, Object.assign({
+    type: 'rect',
+    x: params.x,
+    y: params.y,
+    width: params.width,
+    height: params.height,
+    shouldStroke: params.shouldStroke,
+    shouldFill: params.shouldFill,
+  }, getStyleParams(params)));
+  requestRedraw();
+}
+
+/**
+ * Create and add a circle to the scene. An existing object with the same objId is replaced
+ * @static
+ * @param {Object} params - Parameters
+ * @param {Number} params.x - X coordinate of the center of the circle
+ * @param {Number} params.y - Y coordiantes of the center of the circle
+ * @param {objId} params.objId - Name identifier of the object
+ * @param {boolean} params.shouldStroke - Should the outline of the object be drawn?
+ * @param {boolean} params.shouldFill - Should the inside of the object be drawn?
+ * @param {number} params.radius - Radius of the circle
+ * @param {string} [params.strokeColor] - Color of the outline
+ * @param {string} [params.fillColor] - Color of the inside
+ * @param {Number} [params.lineWidth] - Width of the outline in pixels
+ * @param {Number} [params.opacity] - Opacity (0-1) of the object
+ * @param {string} [params.text] - Text drawn in the middle of the object
+ * @param {string} [params.textColor] - Color of the text
+ */
+function createCircle(params) {
+  objects.set(params.objId, Object.assign({
+    type: 'circle',
+    x: params.x,
+    y: params.y,
+    radius: params.radius,
+    shouldStroke: params.shouldStroke,
+    shouldFill: params.shouldFill,
+  }, getStyleParams(params)));
+  requestRedraw();
+}
+
+/**
+ * Creates a line between two objects OR two points and adds it to the scene. An existing object with the same objId is replaced
+ * The line, if between two objects, will be drawn to the edges of the objects and follow them when they are updated
  * @static
  * @param {Object} params - Parameters
  * @param {string} params.fromObjId - Id of the object at the beginning of the line. Leave empty if you are drawing a line between two points
@@ -245,52 +619,70 @@ function getLinePoints(fromObjId, toObjId) {
  * @param {Object} params.to - X and Y coordinates for the end of the line
  * @param {Object} params.to.x - X coordinate for the end of the line
  * @param {Object} params.to.y - Y coordinate for the end of the line
+ * @param {string} [params.arrow] - Ends of the line that get an arrowhead (start|end|both). No arrowheads are drawn if it isn't set
+ * @param {Number[]} [params.lineDash] - Lengths of dashes and gaps in pixels. Example: [6, 4]. The line is solid if it isn't set
+ * @param {string} [params.strokeColor] - Color of the line and arrowheads
+ * @param {Number} [params.lineWidth] - Width of the line in pixels
+ * @param {Number} [params.opacity] - Opacity (0-1) of the line
+ * @param {string} [params.text] - Text drawn in the middle of the line
+ * @param {string} [params.textColor] - Color of the text
  */
 function createLine(params) {
-  const fromObjId = params.fromObjId;
-  const toObjId = params.toObjId;
-  const objId = params.objId;
-  const obj = new Path2D();
-  let from = params.from;
-  let to = params.to;
-
-  // clearExisting(lines[objId], 'line');
-
-  if (fromObjId && toObjId) {
-    const connection = getLinePoints(fromObjId, toObjId);
-    from = connection.from;
-    to = connection.to;
-
-    obj.moveTo(from.x, from.y);
-    obj.lineTo(to.x, to.y);
-  } else {
-    obj.moveTo(from.x, from.y);
-    obj.lineTo(to.x, to.y);
-  }
-
-  strokeObject(obj);
-
-  objects[objId] = {
+  objects.set(params.objId, Object.assign({
     type: 'line',
-    from,
-    to,
-    fromObjId,
-    toObjId,
-  };
+    from: params.from,
+    to: params.to,
+    fromObjId: params.fromObjId,
+    toObjId: params.toObjId,
+    arrow: params.arrow,
+    lineDash: params.lineDash,
+  }, getStyleParams(params)));
+  requestRedraw();
+}
+
+/**
+ * Set the canvas to draw on and the element that it is sized after
+ * Defaults to the elements with the ids canvas and central, if it is not called before drawCanvas
+ * @static
+ * @param {Object} params - Parameters
+ * @param {HTMLCanvasElement} params.canvas - Canvas to draw on
+ * @param {HTMLElement} params.sizeElement - Element that the canvas is sized after
+ */
+function setCanvas({ canvas, sizeElement }) {
+  context = canvas.getContext('2d');
+  paintArea = sizeElement;
 }
 
 /**
+ * Resize the canvas to the paint area and redraw the whole scene
+ * Should be called when the paint area changes size, as resizing clears the canvas
  * @static
  */
 function drawCanvas() {
+  if (!context) {
+    const canvas = document.getElementById('canvas');
+
+    if (!canvas) {
+      return;
+    }
+
+    setCanvas({ canvas, sizeElement: document.getElementById('central') || canvas.parentElement });
+  }
+
   context.canvas.width = paintArea.offsetWidth;
   context.canvas.height = paintArea.offsetHeight;
-  context.lineWidth = lineWidth;
-  context.fillStyle = '#008766';
-  context.strokeStyle = '#00FFCC';
+  redraw();
 }
 
+exports.palette = palette;
+exports.setCanvas = setCanvas;
 exports.drawCanvas = drawCanvas;
+exports.redraw = redraw;
 exports.createCircle = createCircle;
 exports.createRect = createRect;
 exports.createLine = createLine;
+exports.updateObject = updateObject;
+exports.removeObject = removeObject;
+exports.removeAllObjects = removeAllObjects;
+exports.getObject = getObject;
+exports.getObjectAt = getObjectAt;
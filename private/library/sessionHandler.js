@@ -0,0 +1,83 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const storage = require('./storage');
+
+/**
+ * Name of the item in local storage
+ * @private
+ * @type {string}
+ */
+const sessionName = 'session';
+/**
+ * Max time (ms) that a session is kept, unless the server has set an earlier expiry.
+ * Stops lost devices from staying logged in
+ * @private
+ * @type {Number}
+ */
+const maxSessionAge = 48 * 60 * 60 * 1000;
+
+/**
+ * Store session after a successful login
+ * @static
+ * @param {Object} params - Parameters
+ * @param {string} params.userName - Name of the logged in user
+ * @param {string} params.token - Token retrieved from the server on login
+ * @param {Date|number|string} [params.expiresAt] - Time when the token expires, if the server has set it
+ */
+function saveSession({ userName, token, expiresAt }) {
+  const maxExpiresAt = (new Date()).getTime() + maxSessionAge;
+  const serverExpiresAt = expiresAt ? (new Date(expiresAt)).getTime() : maxExpiresAt;
+
+  storage.setLocalVal(sessionName, {
+    userName,
+    token,
+    expiresAt: Math.min(maxExpiresAt, serverExpiresAt),
+  });
+}
+
+/**
+ * Remove stored session
+ * @static
+ */
+function clearSession() {
+  storage.removeLocalVal(sessionName);
+}
+
+/**
+ * Get stored session. An expired session will be removed
+ * @static
+ * @returns {{userName: string, token: string, expiresAt: number}|null} Stored session. null if there is no session or it has expired
+ */
+function getSession() {
+  const session = storage.getLocalVal(sessionName);
+
+  if (!session || !session.token) {
+    return null;
+  }
+
+  if (session.expiresAt <= (new Date()).getTime()) {
+    clearSession();
+
+    return null;
+  }
+
+  return session;
+}
+
+exports.saveSession = saveSession;
+exports.getSession = getSession;
+exports.clearSession = clearSession;
@@ -86,6 +86,15 @@ function getLocalVal(name) {
   const value = localStorage.getItem(name);
   const type = typeof value;
 
+  // Items set through setLocalVal are stringified and have to be parsed back to their original type
+  if (type === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      // Not JSON. Falls through to the converters below
+    }
+  }
+
   if (Array.isArray(value) || type === 'object') {
     return convertToObject(value);
   } else if (type === 'number') {
@@ -0,0 +1,273 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const View = require('./View');
+const textTools = require('../textTools');
+const inputHandler = require('../inputHandler');
+const viewHandler = require('../viewHandler');
+
+/**
+ * Create and return a message element. Each index in the message text will be a new line
+ * @param {Object} message - Message
+ * @param {string[]} message.text - Message text. Each index represents a new line
+ * @param {string} [message.userName] - Name of the sender
+ * @param {Date} [message.time] - Time when the message was sent
+ * @returns {HTMLElement} Message element
+ */
+function createMessageElement({ text, userName, time }) {
+  const listItem = document.createElement('LI');
+  const header = document.createElement('SPAN');
+  const timeStamp = textTools.generateTimeStamp({ date: time || new Date() });
+
+  header.classList.add('messageHeader');
+  header.appendChild(document.createTextNode(`${timeStamp.halfTime} ${userName || ''}`.trim()));
+  listItem.appendChild(header);
+
+  for (const line of text) {
+    const lineElement = document.createElement('DIV');
+
+    lineElement.appendChild(document.createTextNode(line));
+    listItem.appendChild(lineElement);
+  }
+
+  return listItem;
+}
+
+/**
+ * Checks if two messages are the same message. Only messages with a time set by the server are compared
+ * @param {Object} message - Message
+ * @param {Object} otherMessage - Message to compare with
+ * @returns {boolean} Are they the same message?
+ */
+function isSameMessage(message, otherMessage) {
+  return Boolean(message.time && otherMessage.time) &&
+    new Date(message.time).getTime() === new Date(otherMessage.time).getTime() &&
+    message.userName === otherMessage.userName &&
+    message.text.join('\n') === otherMessage.text.join('\n');
+}
+
+class ChatView extends View {
+  /**
+   * @param {Object} params - Parameters
+   * @param {SocketManager} params.socketManager - Socket manager used to send and receive messages
+   * @param {HTMLElement} [params.parentElement] - Element that the view will be appended to
+   * @param {string} [params.defaultRoomName] - Name of the room that will be shown first
+   */
+  constructor({ socketManager, parentElement, defaultRoomName }) {
+    super({ isFullscreen: false });
+
+    this.socketManager = socketManager;
+    this.rooms = new Map();
+    this.currentRoomName = '';
+    this.roomList = document.createElement('UL');
+    this.messageList = document.createElement('UL');
+    this.input = document.createElement('TEXTAREA');
+
+    this.roomList.classList.add('roomList');
+    this.messageList.classList.add('messageList');
+    this.input.setAttribute('placeholder', 'Message. Enter to send, shift+enter for a new line');
+    this.input.addEventListener('focus', () => inputHandler.setCurrentInput(this.input));
+    this.input.addEventListener('keydown', (event) => {
+      if (event.keyCode === 13 && !event.shiftKey) {
+        this.sendMessage();
+        event.preventDefault();
+      }
+    });
+
+    this.element.classList.add('chatView');
+    this.element.appendChild(this.roomList);
+    this.element.appendChild(this.messageList);
+    this.element.appendChild(this.input);
+
+    this.removeEvents = this.socketManager.addEvents({
+      message: ({ message }) => this.addMessage(message),
+    });
+    // Messages typed while offline may be sent after a page reload, when the callback in sendMessage is gone
+    this.removeResultHandler = this.socketManager.setResultHandler('chatMsg', ({ error, data, params }) => this.addSentMessage({ error, data, message: params.message }));
+
+    this.switchRoom(defaultRoomName || 'public');
+
+    if (parentElement) {
+      this.appendTo(parentElement);
+    }
+  }
+
+  /**
+   * Add room to the room list. Nothing happens if it already exists
+   * @param {string} roomName - Name of the room
+   */
+  addRoom(roomName) {
+    if (this.rooms.has(roomName)) {
+      return;
+    }
+
+    const roomItem = document.createElement('LI');
+
+    roomItem.appendChild(document.createTextNode(roomName));
+    roomItem.addEventListener('click', () => this.switchRoom(roomName));
+    this.roomList.appendChild(roomItem);
+    this.rooms.set(roomName, {
+      messages: [],
+      roomItem,
+      hasHistory: false,
+      unread: 0,
+    });
+  }
+
+  /**
+   * Show messages from another room. History is retrieved from the server the first time a room is shown
+   * @param {string} roomName - Name of the room
+   */
+  switchRoom(roomName) {
+    this.addRoom(roomName);
+
+    const room = this.rooms.get(roomName);
+
+    if (this.rooms.has(this.currentRoomName)) {
+      this.rooms.get(this.currentRoomName).roomItem.classList.remove('selected');
+    }
+
+    this.currentRoomName = roomName;
+    room.unread = 0;
+    room.roomItem.textContent = roomName;
+    room.roomItem.classList.add('selected');
+    this.messageList.innerHTML = '';
+
+    for (const message of room.messages) {
+      this.messageList.appendChild(createMessageElement(message));
+    }
+
+    viewHandler.scrollView();
+
+    if (!room.hasHistory) {
+      room.hasHistory = true;
+
+      this.socketManager.emitRequest({ event: 'history', params: { room: { roomName } } })
+        .then(({ messages }) => this.addMessages(messages))
+        .catch((error) => {
+          room.hasHistory = false;
+          console.log('Failed to retrieve history', error);
+        });
+    }
+  }
+
+  /**
+   * Add message to its room and print it, if the room is shown
+   * Messages are placed by time among the messages in the room. Messages that have already been added are ignored
+   * The view will follow new messages, unless the user has scrolled away from the end of the list
+   * @param {Object} message - Message
+   * @param {string[]} message.text - Message text. Each index represents a new line
+   * @param {string} [message.roomName] - Name of the room that the message was sent to
+   * @param {Date} [message.time] - Time set by the server. Messages without it are placed last
+   */
+  addMessage(message) {
+    const roomName = message.roomName || this.currentRoomName;
+
+    this.addRoom(roomName);
+
+    const room = this.rooms.get(roomName);
+
+    if (room.messages.some(roomMessage => isSameMessage(roomMessage, message))) {
+      return;
+    }
+
+    const time = message.time ? new Date(message.time).getTime() : null;
+    const foundIndex = time === null ? -1 : room.messages.findIndex(roomMessage => roomMessage.time && new Date(roomMessage.time).getTime() > time);
+    const index = foundIndex === -1 ? room.messages.length : foundIndex;
+
+    room.messages.splice(index, 0, message);
+
+    if (time !== null) {
+      this.socketManager.updateLastSeen(message.time);
+    }
+
+    if (roomName !== this.currentRoomName) {
+      room.unread += 1;
+      room.roomItem.textContent = `${roomName} (${room.unread})`;
+
+      return;
+    }
+
+    const messageElement = createMessageElement(message);
+    const lastElement = this.messageList.lastElementChild;
+    const shouldScroll = index === room.messages.length - 1 && (!lastElement || viewHandler.isCloseToEnd(lastElement));
+
+    this.messageList.insertBefore(messageElement, this.messageList.children[index] || null);
+
+    if (shouldScroll) {
+      viewHandler.scrollView();
+    }
+  }
+
+  /**
+   * Add multiple messages, such as history. They are merged by time with the messages that have already been added
+   * @param {Object[]} messages - Messages
+   */
+  addMessages(messages) {
+    const sorted = messages.slice().sort((a, b) => new Date(a.time) - new Date(b.time));
+
+    for (const message of sorted) {
+      this.addMessage(message);
+    }
+  }
+
+  /**
+   * Send the text in the input field to the current room
+   * Each line in the input field will be a new line in the message
+   */
+  sendMessage() {
+    inputHandler.setCurrentInput(this.input);
+
+    const text = inputHandler.getInputText().split('\n').map(line => textTools.trimSpace(line)).filter(line => line !== '');
+
+    if (text.length === 0) {
+      return;
+    }
+
+    const message = { text, roomName: this.currentRoomName };
+
+    inputHandler.clearInput();
+    this.socketManager.emitEvent('chatMsg', { message }, ({ error, data } = {}) => this.addSentMessage({ error, data, message }));
+  }
+
+  /**
+   * Add a sent message with the server's answer. An error text is added to the message if the server failed to handle it
+   * @param {Object} params - Parameters
+   * @param {Object} [params.error] - Error from the server
+   * @param {Object} [params.data] - Data from the server
+   * @param {Object} params.message - Message that was sent
+   */
+  addSentMessage({ error, data, message }) {
+    if (error) {
+      this.addMessage({ text: ['Failed to send message'].concat(message.text), roomName: message.roomName });
+
+      return;
+    }
+
+    this.addMessage((data && data.message) || message);
+  }
+
+  /**
+   * Stop listening to events and remove the view
+   */
+  removeView() {
+    this.removeEvents();
+    this.removeResultHandler();
+    this.element.parentNode.removeChild(this.element);
+  }
+}
+
+module.exports = ChatView;
@@ -0,0 +1,423 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const View = require('./View');
+const painter = require('../painter');
+
+/**
+ * Create a button that calls the function on click
+ * @private
+ * @param {string} text - Text of the button
+ * @param {Function} func - Called on click
+ * @returns {HTMLElement} Button
+ */
+function createButton(text, func) {
+  const button = document.createElement('BUTTON');
+
+  button.appendChild(document.createTextNode(text));
+  button.addEventListener('click', func);
+
+  return button;
+}
+
+/**
+ * Node diagram drawn with the painter. Nodes can be added, dragged, selected and linked with mouse or touch
+ * The diagram can be shared with others through the server. Received diagrams with the same name replace the shown one
+ */
+class DiagramView extends View {
+  /**
+   * @param {Object} params - Parameters
+   * @param {SocketManager} params.socketManager - Socket manager used to share diagrams
+   * @param {HTMLElement} [params.parentElement] - Element that the view will be appended to
+   * @param {string} [params.diagramName] - Name of the diagram. Only diagrams with the same name are received
+   * @param {number} [params.nodeRadius] - Radius (pixels) of new nodes
+   */
+  constructor({ socketManager, parentElement, diagramName, nodeRadius }) {
+    super({ isFullscreen: false });
+
+    this.socketManager = socketManager;
+    this.diagramName = diagramName || 'default';
+    this.nodeRadius = nodeRadius || 20;
+    this.nodes = new Map();
+    this.links = new Map();
+    this.lastObjectNumber = 0;
+    this.selectedId = null;
+    this.isLinking = false;
+    this.drag = null;
+    this.area = document.createElement('DIV');
+    this.area.classList.add('diagramArea');
+    this.canvas = document.createElement('CANVAS');
+    this.statusElement = document.createElement('DIV');
+    this.statusElement.classList.add('diagramStatus');
+    this.buttons = document.createElement('DIV');
+    this.linkButton = createButton('Link', () => this.toggleLinking());
+    this.resizeListener = () => this.drawCanvas();
+
+    this.buttons.appendChild(createButton('Add node', () => this.addNodeAtCenter()));
+    this.buttons.appendChild(this.linkButton);
+    this.buttons.appendChild(createButton('Delete', () => this.removeSelected()));
+    this.buttons.appendChild(createButton('Share', () => this.shareDiagram()));
+    this.area.appendChild(this.canvas);
+    this.element.classList.add('diagramView');
+    this.element.appendChild(this.buttons);
+    this.element.appendChild(this.area);
+    this.element.appendChild(this.statusElement);
+    this.attachInteractions();
+    window.addEventListener('resize', this.resizeListener);
+
+    this.removeEvents = this.socketManager.addEvents({
+      diagram: ({ diagram }) => {
+        if (diagram && diagram.diagramName === this.diagramName) {
+          this.setDiagram(diagram);
+          this.printStatus('Received an updated diagram');
+        }
+      },
+    });
+
+    if (parentElement) {
+      this.appendTo(parentElement);
+    }
+  }
+
+  showView() {
+    super.showView();
+    this.drawCanvas();
+  }
+
+  /**
+   * Resize the canvas and redraw the diagram. The painter is pointed to this view's canvas, as it only draws on one canvas at a time
+   */
+  drawCanvas() {
+    if (this.element.classList.contains('hide')) {
+      return;
+    }
+
+    painter.setCanvas({ canvas: this.canvas, sizeElement: this.area });
+    painter.drawCanvas();
+  }
+
+  /**
+   * Move and select nodes on mouse and touch drag. Tapping a node or link selects it, tapping empty space deselects
+   * Double-clicking on empty space adds a node there
+   */
+  attachInteractions() {
+    const toCanvasPoint = (clientX, clientY) => {
+      const bounds = this.canvas.getBoundingClientRect();
+
+      return { x: clientX - bounds.left, y: clientY - bounds.top };
+    };
+    const startDrag = (clientX, clientY) => {
+      const point = toCanvasPoint(clientX, clientY);
+      const objId = painter.getObjectAt({ x: point.x, y: point.y });
+
+      if (this.isLinking) {
+        this.linkSelectedTo(this.nodes.has(objId) ? objId : null);
+
+        return true;
+      }
+
+      this.select(objId);
+
+      if (this.nodes.has(objId)) {
+        const node = this.nodes.get(objId);
+
+        this.drag = { nodeId: objId, offsetX: point.x - node.x, offsetY: point.y - node.y };
+
+        return true;
+      }
+
+      return false;
+    };
+    const drag = (clientX, clientY) => {
+      if (!this.drag) {
+        return;
+      }
+
+      const point = toCanvasPoint(clientX, clientY);
+
+      this.moveNode({ nodeId: this.drag.nodeId, x: point.x - this.drag.offsetX, y: point.y - this.drag.offsetY });
+    };
+    const endDrag = () => {
+      this.drag = null;
+    };
+
+    this.canvas.addEventListener('mousedown', event => startDrag(event.clientX, event.clientY));
+    this.mouseMoveListener = event => drag(event.clientX, event.clientY);
+    this.mouseUpListener = endDrag;
+    window.addEventListener('mousemove', this.mouseMoveListener);
+    window.addEventListener('mouseup', this.mouseUpListener);
+    this.canvas.addEventListener('touchstart', (event) => {
+      // Stops the page from scrolling while a node is dragged and the emulated mouse event from handling the tap again
+      if (startDrag(event.touches[0].clientX, event.touches[0].clientY)) {
+        event.preventDefault();
+      }
+    });
+    this.canvas.addEventListener('touchmove', (event) => {
+      if (this.drag) {
+        drag(event.touches[0].clientX, event.touches[0].clientY);
+        event.preventDefault();
+      }
+    });
+    this.canvas.addEventListener('touchend', endDrag);
+    this.canvas.addEventListener('dblclick', (event) => {
+      const point = toCanvasPoint(event.clientX, event.clientY);
+
+      if (!painter.getObjectAt({ x: point.x, y: point.y })) {
+        this.addNode({ x: point.x, y: point.y });
+      }
+    });
+  }
+
+  /**
+   * Create a unique id. The time is included to avoid collisions with objects created by others
+   * @param {string} prefix - Prefix of the id (node|link)
+   * @returns {string} Id
+   */
+  createId(prefix) {
+    this.lastObjectNumber += 1;
+
+    return `${prefix}-${Date.now().toString(36)}-${this.lastObjectNumber}`;
+  }
+
+  /**
+   * Add a node to the diagram and select it
+   * @param {Object} params - Parameters
+   * @param {number} params.x - X coordinate of the center of the node
+   * @param {number} params.y - Y coordinate of the center of the node
+   * @param {string} [params.nodeId] - Id of the node. A new one is created if it isn't set
+   * @param {number} [params.radius] - Radius of the node
+   * @returns {string} Id of the node
+   */
+  addNode({ x, y, nodeId, radius }) {
+    const node = { nodeId: nodeId || this.createId('node'), x, y, radius: radius || this.nodeRadius };
+
+    this.nodes.set(node.nodeId, node);
+    painter.createCircle({ objId: node.nodeId, x, y, radius: node.radius, shouldStroke: true, shouldFill: false });
+    this.select(node.nodeId);
+
+    return node.nodeId;
+  }
+
+  /**
+   * Add a node in the middle of the canvas. Used on devices that can't double-click
+   */
+  addNodeAtCenter() {
+    this.addNode({ x: this.canvas.width / 2, y: this.canvas.height / 2 });
+  }
+
+  /**
+   * Move a node. Links to the node follow it
+   * @param {Object} params - Parameters
+   * @param {string} params.nodeId - Id of the node
+   * @param {number} params.x - X coordinate of the new center of the node
+   * @param {number} params.y - Y coordinate of the new center of the node
+   */
+  moveNode({ nodeId, x, y }) {
+    const node = this.nodes.get(nodeId);
+
+    node.x = x;
+    node.y = y;
+    painter.updateObject({ objId: nodeId, changes: { x, y } });
+  }
+
+  /**
+   * Link two nodes. Nothing happens if they are the same node or are already linked
+   * @param {Object} params - Parameters
+   * @param {string} params.fromNodeId - Id of the node at the start of the link
+   * @param {string} params.toNodeId - Id of the node at the end of the link
+   * @param {string} [params.linkId] - Id of the link. A new one is created if it isn't set
+   * @returns {string|null} Id of the link. null if no link was added
+   */
+  addLink({ fromNodeId, toNodeId, linkId }) {
+    const isLinked = Array.from(this.links.values()).some(link => (link.fromNodeId === fromNodeId && link.toNodeId === toNodeId) || (link.fromNodeId === toNodeId && link.toNodeId === fromNodeId));
+
+    if (fromNodeId === toNodeId || isLinked || !this.nodes.has(fromNodeId) || !this.nodes.has(toNodeId)) {
+      return null;
+    }
+
+    const link = { linkId: linkId || this.createId('link'), fromNodeId, toNodeId };
+
+    this.links.set(link.linkId, link);
+    painter.createLine({ objId: link.linkId, fromObjId: fromNodeId, toObjId: toNodeId });
+
+    return link.linkId;
+  }
+
+  /**
+   * Start linking the selected node. The next tapped node will be linked to it. Stops linking if it has already started
+   */
+  toggleLinking() {
+    if (this.isLinking) {
+      this.setLinking(false);
+    } else if (!this.nodes.has(this.selectedId)) {
+      this.printStatus('Select a node to link from');
+    } else {
+      this.setLinking(true);
+      this.printStatus('Tap the node to link to');
+    }
+  }
+
+  /**
+   * @param {boolean} isLinking - Should the next tapped node be linked to the selected node?
+   */
+  setLinking(isLinking) {
+    this.isLinking = isLinking;
+    this.linkButton.classList.toggle('selected', isLinking);
+  }
+
+  /**
+   * Link the selected node to another node and stop linking
+   * @param {string|null} nodeId - Id of the node to link to. Linking is cancelled if it is null
+   */
+  linkSelectedTo(nodeId) {
+    this.setLinking(false);
+
+    if (!nodeId) {
+      this.printStatus('Linking cancelled');
+    } else if (!this.addLink({ fromNodeId: this.selectedId, toNodeId: nodeId })) {
+      this.printStatus('The nodes are already linked');
+    } else {
+      this.printStatus('');
+    }
+  }
+
+  /**
+   * Select a node or link. Selected nodes are filled and selected objects are outlined with the second color of the theme
+   * @param {string|null} objId - Id of the node or link. Nothing is selected if it is null
+   */
+  select(objId) {
+    if (this.selectedId) {
+      painter.updateObject({ objId: this.selectedId, changes: { shouldFill: false, strokeColor: undefined } });
+    }
+
+    this.selectedId = this.nodes.has(objId) || this.links.has(objId) ? objId : null;
+
+    if (this.selectedId) {
+      painter.updateObject({ objId: this.selectedId, changes: { shouldFill: this.nodes.has(this.selectedId), strokeColor: painter.palette.secondColor } });
+    }
+  }
+
+  /**
+   * Remove the selected node or link. Links to a removed node are also removed
+   */
+  removeSelected() {
+    const objId = this.selectedId;
+
+    if (!objId) {
+      this.printStatus('Select a node or link to delete');
+
+      return;
+    }
+
+    if (this.nodes.has(objId)) {
+      this.nodes.delete(objId);
+
+      for (const [linkId, link] of this.links) {
+        if (link.fromNodeId === objId || link.toNodeId === objId) {
+          this.links.delete(linkId);
+        }
+      }
+    } else {
+      this.links.delete(objId);
+    }
+
+    this.selectedId = null;
+    this.setLinking(false);
+    painter.removeObject(objId);
+  }
+
+  /**
+   * @returns {{diagramName: string, nodes: Object[], links: Object[]}} Diagram that can be serialized to JSON
+   */
+  getDiagram() {
+    return {
+      diagramName: this.diagramName,
+      nodes: Array.from(this.nodes.values()).map(node => Object.assign({}, node)),
+      links: Array.from(this.links.values()).map(link => Object.assign({}, link)),
+    };
+  }
+
+  /**
+   * Replace the shown diagram. Links between nodes that don't exist are skipped
+   * @param {Object} diagram - Diagram
+   * @param {Object[]} [diagram.nodes] - Nodes. Each has nodeId, x, y and radius
+   * @param {Object[]} [diagram.links] - Links. Each has linkId, fromNodeId and toNodeId
+   */
+  setDiagram({ nodes, links }) {
+    for (const objId of Array.from(this.nodes.keys()).concat(Array.from(this.links.keys()))) {
+      painter.removeObject(objId);
+    }
+
+    this.nodes.clear();
+    this.links.clear();
+    this.drag = null;
+    this.setLinking(false);
+
+    for (const node of nodes || []) {
+      this.addNode(node);
+    }
+
+    for (const link of links || []) {
+      this.addLink(link);
+    }
+
+    this.select(null);
+  }
+
+  /**
+   * @returns {string} Diagram as JSON
+   */
+  toJson() {
+    return JSON.stringify(this.getDiagram());
+  }
+
+  /**
+   * Replace the shown diagram with one in JSON
+   * @param {string} json - Diagram as JSON
+   */
+  loadJson(json) {
+    this.setDiagram(JSON.parse(json));
+  }
+
+  /**
+   * Send the diagram to the server, which passes it on to others
+   */
+  shareDiagram() {
+    this.socketManager.emitEvent('updateDiagram', { diagram: this.getDiagram() }, ({ error } = {}) => {
+      this.printStatus(error ? 'Failed to share the diagram' : 'Diagram shared');
+    });
+  }
+
+  /**
+   * @param {string} text - Text to show below the diagram
+   */
+  printStatus(text) {
+    this.statusElement.textContent = text;
+  }
+
+  /**
+   * Stop listening to events and remove the view
+   */
+  removeView() {
+    this.removeEvents();
+    window.removeEventListener('resize', this.resizeListener);
+    window.removeEventListener('mousemove', this.mouseMoveListener);
+    window.removeEventListener('mouseup', this.mouseUpListener);
+    this.element.parentNode.removeChild(this.element);
+  }
+}
+
+module.exports = DiagramView;
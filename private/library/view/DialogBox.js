@@ -53,9 +53,9 @@ class DialogBox extends View {
   constructor({ buttons, descriptionText, parentElement, inputs = [] }) {
     super({ isFullscreen: false });
 
-    const descriptionContainer = document.createElement('DIV');
-    descriptionContainer.classList.add('description');
-    descriptionContainer.appendChild(document.createTextNode(descriptionText));
+    this.descriptionContainer = document.createElement('DIV');
+    this.descriptionContainer.classList.add('description');
+    this.descriptionContainer.appendChild(document.createTextNode(descriptionText));
 
     this.leftButton = createButton({
       text: `[${buttons.left.text.charAt(0).toUpperCase()}]${buttons.left.text.slice(1)}`,
@@ -66,8 +66,12 @@ class DialogBox extends View {
       eventFunc: buttons.right.eventFunc,
     });
     this.inputs = [];
+    this.errorContainer = document.createElement('DIV');
+    this.errorContainer.classList.add('error');
+    this.errorContainer.classList.add('hide');
 
-    this.element.appendChild(descriptionContainer);
+    this.element.appendChild(this.descriptionContainer);
+    this.element.appendChild(this.errorContainer);
 
     for (const input of inputs) {
       const inputElement = createInput(input);
@@ -85,11 +89,84 @@ class DialogBox extends View {
     }
   }
 
+  /**
+   * Add input after the existing inputs
+   * @param {Object} input - Input
+   * @param {string} input.inputName - Name of the input
+   * @param {string} [input.placeholder] - Placeholder text
+   * @param {string} [input.inputType] - Type of input
+   */
   addInput(input) {
     const inputElement = createInput(input);
 
     this.inputs.push(inputElement);
-    this.element.appendChild(inputElement);
+    this.element.insertBefore(inputElement, this.leftButton);
+  }
+
+  /**
+   * Remove input
+   * @param {string} inputName - Name of the input
+   */
+  removeInput(inputName) {
+    const inputElement = this.getInput(inputName);
+
+    if (inputElement) {
+      this.inputs = this.inputs.filter(input => input !== inputElement);
+      this.element.removeChild(inputElement);
+    }
+  }
+
+  /**
+   * Get input
+   * @param {string} inputName - Name of the input
+   * @returns {HTMLElement|undefined} Input element. Undefined if it doesn't exist
+   */
+  getInput(inputName) {
+    return this.inputs.find(input => input.getAttribute('name') === inputName);
+  }
+
+  /**
+   * Get value from input
+   * @param {string} inputName - Name of the input
+   * @returns {string} Value of the input. Empty string if the input doesn't exist
+   */
+  getInputValue(inputName) {
+    const inputElement = this.getInput(inputName);
+
+    return inputElement ? inputElement.value : '';
+  }
+
+  /**
+   * Replace description text
+   * @param {string} text - New description text
+   */
+  setDescription(text) {
+    this.descriptionContainer.textContent = text;
+  }
+
+  /**
+   * Show error text below the description
+   * @param {string[]} text - Error text. Each index represents a new line
+   */
+  showError(text) {
+    this.errorContainer.innerHTML = '';
+
+    for (const line of text) {
+      const lineElement = document.createElement('DIV');
+
+      lineElement.appendChild(document.createTextNode(line));
+      this.errorContainer.appendChild(lineElement);
+    }
+
+    this.errorContainer.classList.remove('hide');
+  }
+
+  /**
+   * Remove and hide error text
+   */
+  clearError() {
+    this.errorContainer.innerHTML = '';
+    this.errorContainer.classList.add('hide');
   }
 }
 
@@ -0,0 +1,657 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const View = require('./View');
+const WorldMap = require('../worldMap/WorldMap');
+const inputHandler = require('../inputHandler');
+const autoCompleter = require('../autoCompleter');
+const geoTools = require('../worldMap/geoTools');
+
+class MapView extends View {
+  /**
+   * The map is created the first time the view is shown, as the map libraries are loaded after this file
+   * @param {Object} params - Parameters
+   * @param {SocketManager} params.socketManager - Socket manager used to retrieve map positions
+   * @param {PositionTracker} params.positionTracker - Tracker of the user's position
+   * @param {Object} params.mapOptions - Options sent to WorldMap. htmlElement will be set by the view
+   * @param {HTMLElement} [params.parentElement] - Element that the view will be appended to
+   */
+  constructor({ socketManager, positionTracker, mapOptions, parentElement }) {
+    super({ isFullscreen: false });
+
+    this.socketManager = socketManager;
+    this.positionTracker = positionTracker;
+    this.mapOptions = mapOptions;
+    this.worldMap = null;
+    this.userName = null;
+    this.removeEvents = () => {};
+    this.mapElement = document.createElement('DIV');
+    this.mapElement.setAttribute('id', 'map');
+    this.sharingButton = document.createElement('BUTTON');
+    this.sharingButton.addEventListener('click', () => this.toggleSharing());
+    this.errorContainer = document.createElement('DIV');
+    this.errorContainer.classList.add('error');
+    this.errorContainer.classList.add('hide');
+    this.layerList = document.createElement('UL');
+    this.layerList.classList.add('layerList');
+    this.outputContainer = document.createElement('DIV');
+    this.outputContainer.classList.add('mapOutput');
+    this.commandInput = document.createElement('INPUT');
+    this.commandInput.setAttribute('placeholder', 'Map command. Type help to see all commands');
+    this.commandInput.addEventListener('focus', () => inputHandler.setCurrentInput(this.commandInput));
+    this.commandInput.addEventListener('keydown', (event) => {
+      if (event.keyCode === 13) {
+        this.runCommand(this.commandInput.value);
+        this.commandInput.value = '';
+        event.preventDefault();
+      } else if (event.keyCode === 9) {
+        this.autoComplete();
+        event.preventDefault();
+      }
+    });
+    this.fileInput = document.createElement('INPUT');
+    this.fileInput.setAttribute('type', 'file');
+    this.fileInput.setAttribute('accept', '.geojson,.json,.kml');
+    this.fileInput.classList.add('hide');
+    this.fileInput.addEventListener('change', () => {
+      if (this.fileInput.files.length > 0) {
+        this.importFile(this.fileInput.files[0]);
+      }
+    });
+    this.commands = new Map();
+    this.viewNames = ['me', 'follow', 'all', 'area', 'none'];
+    this.fileFormats = ['geojson', 'kml'];
+    this.positionListener = position => this.setUserPosition(position);
+    this.positionErrorListener = textArray => this.showError(textArray);
+    this.keyListener = event => this.handleKey(event);
+
+    this.positionTracker.addPositionListener(this.positionListener);
+    this.positionTracker.addErrorListener(this.positionErrorListener);
+    this.printSharing();
+    this.addCommands();
+    document.addEventListener('keydown', this.keyListener);
+    this.element.classList.add('mapView');
+    this.element.appendChild(this.sharingButton);
+    this.element.appendChild(this.errorContainer);
+    this.element.appendChild(this.layerList);
+    this.element.appendChild(this.mapElement);
+    this.element.appendChild(this.outputContainer);
+    this.element.appendChild(this.commandInput);
+    this.element.appendChild(this.fileInput);
+
+    if (parentElement) {
+      this.appendTo(parentElement);
+    }
+  }
+
+  showView() {
+    super.showView();
+
+    if (!this.worldMap) {
+      this.createMap();
+    }
+
+    if (this.worldMap) {
+      this.worldMap.realignMap();
+    }
+  }
+
+  /**
+   * Create the map, listen to new map positions and retrieve existing ones from the server
+   */
+  createMap() {
+    try {
+      this.worldMap = new WorldMap(Object.assign({}, this.mapOptions, {
+        htmlElement: this.mapElement,
+        onViewChange: ({ mapView, isFollowPaused }) => this.printView(mapView, isFollowPaused),
+      }));
+    } catch (err) {
+      this.mapElement.textContent = 'Unable to load the map. Please try again later';
+      console.log(err);
+
+      return;
+    }
+
+    this.worldMap.setUserName(this.userName);
+    this.createLayerList();
+
+    if (this.positionTracker.getPosition()) {
+      this.worldMap.setUserPosition(this.positionTracker.getPosition());
+    }
+
+    this.removeEvents = this.socketManager.addEvents({
+      mapPositions: params => this.worldMap.onMapPositions(params),
+    });
+
+    this.socketManager.emitRequest({ event: 'getMapPositions', params: { types: ['static', 'users'] } })
+      .then((data) => {
+        this.worldMap.onMapPositions(data);
+        // The game area is covered by the polygons, which are not known until now
+        this.worldMap.realignMap();
+      })
+      .catch(error => console.log('Failed to retrieve map positions', error));
+  }
+
+  /**
+   * Add an item for each map layer. Clicking on an item shows or hides the layer
+   */
+  createLayerList() {
+    for (const layerName of this.worldMap.getLayerNames()) {
+      const layerItem = document.createElement('LI');
+
+      layerItem.appendChild(document.createTextNode(layerName));
+      layerItem.setAttribute('data-layer', layerName);
+      layerItem.addEventListener('click', () => this.setLayerVisibility(layerName, !this.worldMap.isLayerVisible(layerName)));
+      this.layerList.appendChild(layerItem);
+    }
+
+    this.printLayers();
+  }
+
+  /**
+   * Mark shown layers in the layer list
+   */
+  printLayers() {
+    for (const layerItem of Array.from(this.layerList.children)) {
+      layerItem.classList.toggle('selected', this.worldMap.isLayerVisible(layerItem.getAttribute('data-layer')));
+    }
+  }
+
+  /**
+   * Show or hide a map layer
+   * @param {string} layerName - Name of the layer
+   * @param {boolean} isVisible - Should the layer be shown?
+   */
+  setLayerVisibility(layerName, isVisible) {
+    this.worldMap.setLayerVisibility(layerName, isVisible);
+    this.printLayers();
+  }
+
+  /**
+   * Add command that can be typed in the command input
+   * @param {Object} params - Parameters
+   * @param {string} params.commandName - Name of the command. Typed as the first word
+   * @param {Function} params.func - Called with the rest of the words
+   * @param {string} params.help - Description shown by help
+   * @param {string} [params.usage] - Parameters shown by help. Example: <name> [on|off]
+   * @param {boolean} [params.requiresMap] - Can the command only be used after the map has been loaded?
+   * @param {Function} [params.getCompletions] - Returns all values that the parameters can be auto-completed to
+   */
+  addCommand({ commandName, func, help, usage, requiresMap, getCompletions }) {
+    this.commands.set(commandName, { func, help, usage, requiresMap, getCompletions });
+  }
+
+  /**
+   * Add the built-in map commands
+   */
+  addCommands() {
+    this.addCommand({
+      commandName: 'help',
+      help: 'Show all commands',
+      func: () => {
+        this.printOutput(Array.from(this.commands).map(([commandName, command]) => `${commandName}${command.usage ? ` ${command.usage}` : ''} - ${command.help}`));
+      },
+    });
+    this.addCommand({
+      commandName: 'layers',
+      help: 'Show all map layers and if they are shown',
+      requiresMap: true,
+      func: () => {
+        this.printOutput(this.worldMap.getLayerNames().map(layerName => `${layerName}: ${this.worldMap.isLayerVisible(layerName) ? 'shown' : 'hidden'}`));
+      },
+    });
+    this.addCommand({
+      commandName: 'layer',
+      usage: '<layer> [on|off]',
+      help: 'Show or hide a map layer. It is toggled if on or off is not set',
+      requiresMap: true,
+      func: ([layerName, toggle]) => {
+        const lowerLayerName = (layerName || '').toLowerCase();
+        const layerNames = this.worldMap.getLayerNames();
+
+        if (layerNames.indexOf(lowerLayerName) === -1) {
+          this.printOutput([layerName ? `Layer ${layerName} does not exist` : 'Layer name is missing', `Available layers: ${layerNames.join(', ')}`]);
+
+          return;
+        }
+
+        const isVisible = toggle ? toggle.toLowerCase() === 'on' : !this.worldMap.isLayerVisible(lowerLayerName);
+
+        this.setLayerVisibility(lowerLayerName, isVisible);
+        this.printOutput([`Layer ${lowerLayerName} is ${isVisible ? 'shown' : 'hidden'}`]);
+      },
+      getCompletions: () => this.worldMap.getLayerNames(),
+    });
+    this.addCommand({
+      commandName: 'search',
+      usage: '<text>',
+      help: 'Search for locations and users. Type the number of a result to go to it',
+      requiresMap: true,
+      func: (phrases) => {
+        const query = phrases.join(' ');
+
+        if (query === '') {
+          this.printOutput(['Type what to search for. Example: search old mill']);
+
+          return;
+        }
+
+        const results = this.worldMap.searchMarkers(query);
+
+        if (results.length === 0) {
+          this.printOutput([`No matches for ${query}`]);
+        } else {
+          this.printOutput(results.slice(0, 10).map(marker => `${marker.markerId}: ${marker.addedTitle}`).concat(['Type a number to go to the location']));
+        }
+      },
+      getCompletions: () => Array.from(this.worldMap.markers.values()).map(marker => marker.addedTitle.toLowerCase()),
+    });
+    this.addCommand({
+      commandName: 'view',
+      usage: '<me|follow|all|area|none>',
+      help: 'Change how the map is centered. follow keeps centering on you, but pauses when you move the map. Keys: m, f, a, g',
+      requiresMap: true,
+      func: ([viewName]) => {
+        if (!viewName || this.viewNames.indexOf(viewName.toLowerCase()) === -1) {
+          this.printOutput([`Available views: ${this.viewNames.join(', ')}`]);
+
+          return;
+        }
+
+        this.setView(viewName.toLowerCase());
+      },
+      getCompletions: () => this.viewNames,
+    });
+    this.addCommand({
+      commandName: 'route',
+      usage: '<number>|off',
+      help: 'Draw a line from you to a location and show the distance and direction to it',
+      requiresMap: true,
+      func: ([markerId]) => {
+        if (markerId && markerId.toLowerCase() === 'off') {
+          this.worldMap.removeRoute();
+          this.printOutput(['Route removed']);
+        } else if (!this.worldMap.setRoute({ markerId, onUpdate: route => this.printRoute(route) })) {
+          this.printOutput([`Location ${markerId || ''} does not exist. Use search to find its number`]);
+        }
+      },
+    });
+    this.addCommand({
+      commandName: 'measure',
+      usage: '[off]',
+      help: 'Click on the map to measure distances. Using it again restarts the measurement',
+      requiresMap: true,
+      func: ([toggle]) => {
+        if (toggle && toggle.toLowerCase() === 'off') {
+          this.worldMap.stopMeasure();
+          this.printOutput(['Measure mode off']);
+
+          return;
+        }
+
+        this.worldMap.startMeasure({
+          onUpdate: ({ distance, bearing, pointCount }) => {
+            this.printOutput([`Measured: ${geoTools.createDistanceText(distance, bearing)}. Points: ${pointCount}`, 'Type measure off to stop']);
+          },
+        });
+        this.printOutput(['Measure mode on. Click on the map to add points']);
+      },
+    });
+    this.addCommand({
+      commandName: 'import',
+      help: 'Add lines, zones and locations from a GeoJSON or KML file. They are only shown to you',
+      requiresMap: true,
+      func: () => {
+        this.fileInput.value = '';
+        this.fileInput.click();
+      },
+    });
+    this.addCommand({
+      commandName: 'export',
+      usage: '<geojson|kml>',
+      help: 'Download the lines, zones and locations on the map as a GeoJSON or KML file',
+      requiresMap: true,
+      func: ([format]) => {
+        const lowerFormat = (format || '').toLowerCase();
+
+        if (this.fileFormats.indexOf(lowerFormat) === -1) {
+          this.printOutput([`Available formats: ${this.fileFormats.join(', ')}`]);
+
+          return;
+        }
+
+        this.downloadFile({
+          fileName: `map.${lowerFormat}`,
+          content: this.worldMap.exportMapFile(lowerFormat),
+          mimeType: lowerFormat === 'kml' ? 'application/vnd.google-earth.kml+xml' : 'application/geo+json',
+        });
+        this.printOutput([`Exported the map as map.${lowerFormat}`]);
+      },
+      getCompletions: () => this.fileFormats,
+    });
+  }
+
+  /**
+   * Change map view and realign the map
+   * @param {string} viewName - Name of the view (me|follow|all|area|none)
+   */
+  setView(viewName) {
+    const MapViewEnum = this.worldMap.MapViewEnum;
+    const mapViews = {
+      me: MapViewEnum.ME,
+      follow: MapViewEnum.FOLLOW,
+      all: MapViewEnum.ALL,
+      area: MapViewEnum.GAMEAREA,
+      none: MapViewEnum.NONE,
+    };
+
+    const viewErrors = {
+      me: 'Your position is not known yet',
+      follow: 'Your position is not known yet. The map will center on you when it is',
+      all: 'There are no locations to show',
+      area: 'There is no game area to show. It is created from the polygons on the map',
+    };
+
+    this.worldMap.mapView = mapViews[viewName];
+
+    if (!this.worldMap.realignMap() && viewErrors[viewName]) {
+      this.printOutput([viewErrors[viewName]]);
+    }
+  }
+
+  /**
+   * Print the current map view
+   * @param {number} mapView - Map view. Should be one of MapViewEnum
+   * @param {boolean} isFollowPaused - Has following the user been paused?
+   */
+  printView(mapView, isFollowPaused) {
+    const MapViewEnum = this.worldMap ? this.worldMap.MapViewEnum : {};
+
+    if (mapView === MapViewEnum.FOLLOW) {
+      this.printOutput([isFollowPaused ? 'View: follow. Paused while you move the map' : 'View: follow']);
+    } else if (mapView === MapViewEnum.ME) {
+      this.printOutput(['View: me']);
+    } else if (mapView === MapViewEnum.ALL) {
+      this.printOutput(['View: all']);
+    } else if (mapView === MapViewEnum.GAMEAREA) {
+      this.printOutput(['View: area']);
+    }
+  }
+
+  /**
+   * Change map view, zoom or position sharing with keys, while the view is shown and no input is focused
+   * m = me, f = follow, a = all, g = game area, + = zoom in, - = zoom out, s = sharing
+   * @param {KeyboardEvent} event - Key event
+   */
+  handleKey(event) {
+    const tagName = event.target.tagName;
+
+    if (!this.worldMap || this.element.classList.contains('hide') || tagName === 'INPUT' || tagName === 'TEXTAREA' || event.ctrlKey || event.altKey || event.metaKey) {
+      return;
+    }
+
+    switch (event.key) {
+      case 'm': {
+        this.setView('me');
+
+        break;
+      }
+      case 'f': {
+        this.setView('follow');
+
+        break;
+      }
+      case 'a': {
+        this.setView('all');
+
+        break;
+      }
+      case 'g': {
+        this.setView('area');
+
+        break;
+      }
+      case '+': {
+        this.worldMap.increaseZoom();
+
+        break;
+      }
+      case '-': {
+        this.worldMap.decreaseZoom();
+
+        break;
+      }
+      case 's': {
+        this.toggleSharing();
+
+        break;
+      }
+      default: {
+        return;
+      }
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Read the chosen file and add its content to the map
+   * @param {File} file - GeoJSON or KML file
+   */
+  importFile(file) {
+    const reader = new FileReader();
+
+    reader.addEventListener('load', () => {
+      try {
+        const positionCount = this.worldMap.importMapFile(reader.result);
+
+        this.printOutput([`Imported ${positionCount} positions from ${file.name}`]);
+      } catch (err) {
+        this.printOutput([`Unable to import ${file.name}`, err.message]);
+      }
+    });
+    reader.addEventListener('error', () => this.printOutput([`Unable to read ${file.name}`]));
+    reader.readAsText(file);
+  }
+
+  /**
+   * Let the browser download a file created from text
+   * @param {Object} params - Parameters
+   * @param {string} params.fileName - Name of the file
+   * @param {string} params.content - Content of the file
+   * @param {string} params.mimeType - MIME type of the file
+   */
+  downloadFile({ fileName, content, mimeType }) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('A');
+
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    link.classList.add('hide');
+    this.element.appendChild(link);
+    link.click();
+    this.element.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Print distance and direction to the route target
+   * @param {Object|null} route - Route. null if the route has been removed
+   * @param {string} route.title - Title of the target
+   * @param {number} [route.distance] - Distance (meters) to the target
+   * @param {number} [route.bearing] - Compass bearing (degrees) to the target
+   */
+  printRoute(route) {
+    if (!route) {
+      this.printOutput(['The route target is no longer on the map']);
+    } else if (route.distance === undefined) {
+      this.printOutput([`Route to ${route.title}`, 'Waiting for your position']);
+    } else {
+      this.printOutput([`Route to ${route.title}: ${geoTools.createDistanceText(route.distance, route.bearing)}`]);
+    }
+  }
+
+  /**
+   * Center and zoom the map on a marker and print its description
+   * @param {number} markerId - Id of the marker
+   */
+  goToMarker(markerId) {
+    const marker = this.worldMap.focusMarker(markerId);
+
+    if (!marker) {
+      this.printOutput([`Location ${markerId} does not exist`]);
+
+      return;
+    }
+
+    const infoText = this.worldMap.getInfoText(markerId);
+
+    this.printOutput([`${marker.markerId}: ${infoText.title}`].concat(infoText.description ? [infoText.description] : []));
+  }
+
+  /**
+   * Complete the command name or the parameters of the typed command. All matches are printed if there is more than one
+   */
+  autoComplete() {
+    const text = this.commandInput.value.replace(/^\s+/, '');
+    const spaceIndex = text.indexOf(' ');
+    const commandName = spaceIndex === -1 ? text.toLowerCase() : text.slice(0, spaceIndex).toLowerCase();
+    const command = this.commands.get(commandName);
+    let matches = [];
+    let prefix = '';
+
+    if (spaceIndex === -1) {
+      matches = autoCompleter.match(commandName, Array.from(this.commands.keys()));
+    } else if (command && command.getCompletions && (!command.requiresMap || this.worldMap)) {
+      prefix = `${commandName} `;
+      matches = autoCompleter.match(text.slice(spaceIndex + 1).toLowerCase(), command.getCompletions());
+    }
+
+    if (matches.length === 1) {
+      this.commandInput.value = `${prefix}${matches[0]} `;
+    } else if (matches.length > 1) {
+      this.printOutput([matches.join('  ')]);
+    }
+  }
+
+  /**
+   * Run command typed by the user
+   * @param {string} text - Command name followed by parameters
+   */
+  runCommand(text) {
+    const phrases = text.trim().split(/\s+/);
+    const commandName = phrases.shift().toLowerCase();
+    const command = this.commands.get(commandName);
+
+    if (commandName === '') {
+      return;
+    } else if (/^\d+$/.test(commandName) && this.worldMap) {
+      this.goToMarker(parseInt(commandName, 10));
+    } else if (!command) {
+      this.printOutput([`${commandName}: command not found. Type help to see all commands`]);
+    } else if (command.requiresMap && !this.worldMap) {
+      this.printOutput(['The map has not been loaded']);
+    } else {
+      command.func(phrases);
+    }
+  }
+
+  /**
+   * Print lines below the map
+   * @param {string[]} textArray - Lines to print
+   */
+  printOutput(textArray) {
+    this.outputContainer.innerHTML = '';
+
+    for (const line of textArray) {
+      const lineElement = document.createElement('DIV');
+
+      lineElement.appendChild(document.createTextNode(line));
+      this.outputContainer.appendChild(lineElement);
+    }
+  }
+
+  /**
+   * Set name of the logged in user. The user's own position from the server is not shown
+   * The user's marker is removed on logout
+   * @param {string|null} userName - Name of the user. null if the user has logged out
+   */
+  setUserName(userName) {
+    this.userName = userName;
+
+    if (this.worldMap) {
+      this.worldMap.setUserName(userName);
+
+      if (!userName) {
+        this.worldMap.removeUserPosition();
+      }
+    }
+  }
+
+  /**
+   * Show error message above the map
+   * @param {string[]} textArray - Lines of the error message
+   */
+  showError(textArray) {
+    this.errorContainer.textContent = textArray.join(' ');
+    this.errorContainer.classList.remove('hide');
+  }
+
+  /**
+   * Move the user's marker
+   * @param {{latitude: number, longitude: number, accuracy: number, timeStamp: Date}} position - Position of the user
+   */
+  setUserPosition(position) {
+    this.errorContainer.classList.add('hide');
+
+    if (this.worldMap && this.userName) {
+      this.worldMap.setUserPosition(position);
+    }
+  }
+
+  /**
+   * Turn sharing of the user's position on or off
+   */
+  toggleSharing() {
+    this.positionTracker.setSharing(!this.positionTracker.isSharing);
+    this.printSharing();
+  }
+
+  /**
+   * Show if the user's position is shared
+   */
+  printSharing() {
+    this.sharingButton.textContent = `[S]haring position: ${this.positionTracker.isSharing ? 'on' : 'off'}`;
+  }
+
+  /**
+   * Stop listening to events and remove the view
+   */
+  removeView() {
+    this.positionTracker.removePositionListener(this.positionListener);
+    this.positionTracker.removeErrorListener(this.positionErrorListener);
+    document.removeEventListener('keydown', this.keyListener);
+    this.removeEvents();
+
+    if (this.worldMap) {
+      this.worldMap.stopUpdates();
+    }
+
+    this.element.parentNode.removeChild(this.element);
+  }
+}
+
+module.exports = MapView;
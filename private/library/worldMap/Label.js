@@ -15,16 +15,17 @@
  */
 
 /**
- * Uses and requires Google maps library
+ * Label drawn through the provider of a WorldMap
  */
 class Label {
   /**
    * Creates a label at the location of another object
    * The name of the position will be used as text for the label
+   * @param {Object} params - Parameters
    * @param {string} params.positionName - Name of the position that the label is connected to
    * @param {{latitude: number, longitude: number}} params.position - Long and lat coordinates of the label
    * @param {string} params.labelText - Text that will be printed
-   * @param {string} [params.align] - Text alignment (left|right)
+   * @param {string} [params.align] - Text alignment (left|right|center)
    * @param {string} [params.fontFamily] - Font family
    * @param {string} [params.fontColor] - Font color
    * @param {string} [params.strokeColor] - Stroke color (around the text)
@@ -33,36 +34,137 @@ class Label {
    */
   constructor({ positionName, position, labelText, align, fontFamily, fontColor, strokeColor, fontSize, worldMap }) {
     this.positionName = positionName.toLowerCase();
-    this.worldMap = worldMap || null;
-    this.mapLabel = new MapLabel({
+    this.position = position;
+    this.labelOptions = {
       text: labelText,
-      position: new google.maps.LatLng(position.latitude, position.longitude),
       align: align || 'right',
       fontFamily: fontFamily || 'GlassTTYVT220',
       fontColor: fontColor || '#00ffcc',
       strokeColor: strokeColor || '#001e15',
       fontSize: fontSize || 12,
-      map: worldMap || null,
-    });
+    };
+    this.attachedMap = null;
+    this.labelId = null;
+    this.isShown = true;
+    this.isCollided = false;
+    this.offsetPosition = null;
+    this.worldMap = worldMap || null;
   }
 
-  set worldMap(map) {
-    this.worldMap = map;
-    this.mapLabel.setMap(map);
+  /**
+   * Attach the label to another WorldMap. Setting it to null will remove the label from the map
+   * @param {WorldMap|null} worldMap - WorldMap that the label should be attached to
+   */
+  set worldMap(worldMap) {
+    if (this.attachedMap) {
+      this.attachedMap.provider.removeObject(this.labelId);
+      this.labelId = null;
+    }
+
+    this.attachedMap = worldMap;
+
+    if (worldMap) {
+      this.labelId = worldMap.provider.createLabel(Object.assign({ position: this.offsetPosition || this.position }, this.labelOptions));
+      this.updateVisibility();
+    }
   }
 
+  /**
+   * @returns {WorldMap|null} WorldMap that the label is attached to
+   */
   get worldMap() {
-    return this.worldMap;
+    return this.attachedMap;
+  }
+
+  /**
+   * Move the label
+   * @param {{latitude: number, longitude: number}} position - Long and lat coordinates of the label
+   */
+  setPosition(position) {
+    this.position = position;
+    this.offsetPosition = null;
+
+    if (this.attachedMap) {
+      this.attachedMap.provider.setLabelPosition(this.labelId, position);
+    }
+  }
+
+  /**
+   * Move the label away from its position, to avoid overlapping other labels. The position is kept and used by the next layout
+   * @param {{latitude: number, longitude: number}|null} offsetPosition - Long and lat coordinates where the label is drawn. null will move it back to its position
+   */
+  setOffsetPosition(offsetPosition) {
+    this.offsetPosition = offsetPosition;
+
+    if (this.attachedMap) {
+      this.attachedMap.provider.setLabelPosition(this.labelId, offsetPosition || this.position);
+    }
+  }
+
+  /**
+   * Estimate the size of the label on the screen
+   * @returns {{width: number, height: number}} Width and height in pixels
+   */
+  getSize() {
+    return {
+      width: this.labelOptions.text.length * this.labelOptions.fontSize * 0.6,
+      height: this.labelOptions.fontSize,
+    };
+  }
+
+  /**
+   * @returns {string} Text alignment (left|right|center)
+   */
+  getAlign() {
+    return this.labelOptions.align;
+  }
+
+  /**
+   * Change the text of the label
+   * @param {string} text - Text that will be printed
+   */
+  setText(text) {
+    this.labelOptions.text = text;
+
+    if (this.attachedMap) {
+      this.attachedMap.provider.setLabelText(this.labelId, text);
+    }
+  }
+
+  /**
+   * A label that collides with other labels is hidden, but still counts as shown
+   * @returns {boolean} Is the label shown on the map?
+   */
+  isVisible() {
+    return Boolean(this.attachedMap) && this.isShown;
   }
 
   hideLabel() {
-    this.mapLabel.setMap(null);
-    this.worldMap.redraw();
+    this.isShown = false;
+    this.updateVisibility();
   }
 
   showLabel() {
-    this.mapLabel.setMap(this.worldMap.map);
-    this.worldMap.redraw();
+    this.isShown = true;
+    this.updateVisibility();
+  }
+
+  /**
+   * Hide the label while it overlaps other labels
+   * @param {boolean} isCollided - Does the label overlap other labels?
+   */
+  setCollided(isCollided) {
+    this.isCollided = isCollided;
+    this.updateVisibility();
+  }
+
+  /**
+   * Draw the label if it is shown and doesn't collide with other labels
+   */
+  updateVisibility() {
+    if (this.attachedMap) {
+      this.attachedMap.provider.setVisible(this.labelId, this.isShown && !this.isCollided);
+    }
   }
 }
 
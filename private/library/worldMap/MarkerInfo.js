@@ -0,0 +1,127 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const textTools = require('../textTools');
+
+/**
+ * Create and return an element with a class
+ * @private
+ * @param {string} tagName - Tag name of the element
+ * @param {string} className - Class that will be added to the element
+ * @returns {HTMLElement} Element
+ */
+function createElement(tagName, className) {
+  const element = document.createElement(tagName);
+
+  element.classList.add(className);
+
+  return element;
+}
+
+/**
+ * Info panel that is shown at a map marker. Only one marker is shown at a time
+ */
+class MarkerInfo {
+  /**
+   * @param {Object} params - Parameters
+   * @param {HTMLElement} params.parentElement - Element that the panel will be appended to. Should be the map element
+   */
+  constructor({ parentElement }) {
+    this.element = createElement('DIV', 'markerInfo');
+    this.titleElement = createElement('DIV', 'markerInfoTitle');
+    this.descriptionElement = createElement('DIV', 'description');
+    this.expandButton = createElement('SPAN', 'markerInfoExpand');
+    this.updatedElement = createElement('DIV', 'markerInfoUpdated');
+    this.marker = null;
+    this.isExpanded = false;
+
+    this.expandButton.addEventListener('click', () => {
+      this.isExpanded = !this.isExpanded;
+      this.printDescription();
+    });
+
+    // Stops the map from being dragged or clicked, which would close the panel
+    this.element.addEventListener('mousedown', event => event.stopPropagation());
+    this.element.addEventListener('touchstart', event => event.stopPropagation());
+    this.element.addEventListener('click', event => event.stopPropagation());
+
+    this.element.appendChild(this.titleElement);
+    this.element.appendChild(this.descriptionElement);
+    this.element.appendChild(this.expandButton);
+    this.element.appendChild(this.updatedElement);
+    this.element.classList.add('hide');
+    parentElement.appendChild(this.element);
+  }
+
+  /**
+   * Show the panel at the marker
+   * @param {Object} params - Parameters
+   * @param {Object} params.marker - Marker object from WorldMap
+   * @param {{x: number, y: number}} params.position - Pixel coordinates of the marker in the map element
+   */
+  showInfo({ marker, position }) {
+    this.marker = marker;
+    this.isExpanded = false;
+    this.titleElement.textContent = `${marker.markerId}:${marker.addedTitle}`;
+    this.printDescription();
+
+    if (marker.lastUpdated) {
+      const timeStamp = textTools.generateTimeStamp({ date: marker.lastUpdated });
+
+      this.updatedElement.textContent = `Last updated: ${timeStamp.halfDate} ${timeStamp.halfTime}`;
+      this.updatedElement.classList.remove('hide');
+    } else {
+      this.updatedElement.classList.add('hide');
+    }
+
+    this.element.style.left = `${position.x}px`;
+    this.element.style.top = `${position.y}px`;
+    this.element.classList.remove('hide');
+  }
+
+  /**
+   * Print the short or the expanded description of the marker
+   */
+  printDescription() {
+    const shortDesc = this.marker.addedShortDesc || '';
+    const expandedDesc = this.marker.addedExpandedDesc;
+
+    if (expandedDesc && this.isExpanded) {
+      this.descriptionElement.textContent = shortDesc.slice(0, shortDesc.length - 2) + expandedDesc;
+      this.expandButton.textContent = '[-]Less';
+    } else {
+      this.descriptionElement.textContent = shortDesc;
+      this.expandButton.textContent = '[+]More';
+    }
+
+    this.descriptionElement.classList.toggle('hide', shortDesc === '');
+    this.expandButton.classList.toggle('hide', !expandedDesc);
+  }
+
+  hideInfo() {
+    this.marker = null;
+    this.element.classList.add('hide');
+  }
+
+  /**
+   * @returns {boolean} Is the panel shown?
+   */
+  isVisible() {
+    return !this.element.classList.contains('hide');
+  }
+}
+
+module.exports = MarkerInfo;
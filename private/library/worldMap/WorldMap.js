@@ -1,654 +1,1246 @@
-// /*
-//  Copyright 2015 Aleksandar Jankovic
-//
-//  Licensed under the Apache License, Version 2.0 (the "License");
-//  you may not use this file except in compliance with the License.
-//  You may obtain a copy of the License at
-//
-//  http://www.apache.org/licenses/LICENSE-2.0
-//
-//  Unless required by applicable law or agreed to in writing, software
-//  distributed under the License is distributed on an "AS IS" BASIS,
-//  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
-//  See the License for the specific language governing permissions and
-//  limitations under the License.
-//  */
-//
-// const Label = require('./Label');
-//
-// /**
-//  * Uses and requires Google maps library
-//  */
-// class WorldMap {
-//   /**
-//    * @param {{longitude:number, latitude:number}} params.centerCoordinates
-//    * @param {{topLeft:{latitude:number, longitude:number},bottomRight:{latitude:number, longitude:number}}} params.cornerCoordinates
-//    * @param {Object} params.htmlElement
-//    * @param {number} [params.minZoom]
-//    * @param {number} [params.zoomLevel]
-//    * @param {number} [params.maxZoom]
-//    * @param {number} [params.maxShortDescLength]
-//    * @param {string} [params.backgroundColor]
-//    */
-//   constructor({ centerCoordinates, cornerCoordinates, zoomLevel, htmlElement, minZoom, maxZoom, maxShortDescLength, backgroundColor }) {
-//     // Will stop if external files have not finished loading
-//     if (typeof google === 'undefined' || typeof MarkerClusterer === 'undefined' || typeof MapLabel === 'undefined') {
-//       throw new Error();
-//     }
-//
-//     this.MapViewEnum = {
-//       NONE: 1,
-//       ME: 2,
-//       CLUSTER: 3,
-//       ALL: 4,
-//       GAMEAREA: 5,
-//     };
-//     this.markers = new Map();
-//     this.lines = new Map();
-//     this.labels = new Map();
-//     this.cornerCoordinates = cornerCoordinates;
-//     this.mapView = this.MapViewEnum.GAMEAREA;
-//     this.maxShortDescLength = maxShortDescLength || 200;
-//     this.map = new google.maps.Map(htmlElement, {
-//       center: {
-//         lat: centerCoordinates.latitude || 0,
-//         lng: centerCoordinates.longitude || 0,
-//       },
-//       zoom: zoomLevel || 0,
-//       disableDefaultUI: true,
-//       fullscreenControl: false,
-//       keyboardShortcuts: false,
-//       mapTypeControl: false,
-//       noClear: true,
-//       zoomControl: false,
-//       panControl: false,
-//       overviewMapControl: false,
-//       rotateControl: false,
-//       scaleControl: false,
-//       streetViewControl: false,
-//       backgroundColor: backgroundColor || '#001e15',
-//       minZoom: minZoom || 3,
-//       maxZoom: maxZoom || 19,
-//       styles: [
-//         {
-//           featureType: 'all',
-//           elementType: 'all',
-//           stylers: [
-//             { color: '#001e15' },
-//           ],
-//         }, {
-//           featureType: 'road',
-//           elementType: 'geometry',
-//           stylers: [
-//             { color: '#00cca3' },
-//           ],
-//         }, {
-//           featureType: 'road',
-//           elementType: 'labels',
-//           stylers: [
-//             { visibility: 'off' },
-//           ],
-//         }, {
-//           featureType: 'poi',
-//           elementType: 'all',
-//           stylers: [
-//             { visibility: 'off' },
-//           ],
-//         }, {
-//           featureType: 'administrative',
-//           elementType: 'all',
-//           stylers: [
-//             { visibility: 'off' },
-//           ],
-//         }, {
-//           featureType: 'water',
-//           elementType: 'all',
-//           stylers: [
-//             { color: '#00cca3' },
-//           ],
-//         },
-//       ],
-//     });
-//   }
-//
-//   /**
-//    * Sets new map view. Affects how the map is realigned and shown
-//    * @param {number} view - Type of map view
-//    */
-//   set mapView(view) {
-//     this.mapView = view;
-//   }
-//
-//   /**
-//    * Creates a map marker, adds it to the map and calls the creation of a label (if flag is set)
-//    * @param {Object} params - Parameters
-//    * @param {string} params.markerName - Name of the map marker
-//    * @param {string} params.title - Title of the marker description
-//    * @param {string} params.markerType - Type of the marker
-//    * @param {number} params.opacity - Opacity of the marker in the view
-//    * @param {boolean} params.hideLabel - Should the label be hidden in the view?
-//    * @param {boolean} params.ignoreCluster - Should the marker be excluded from clusters?
-//    * @param {string} params.iconUrl - Path to a custom icon image
-//    * @param {{longitude: Number, latitude: Number}} params.position - Long and lat coordinates of the map marker
-//    * @param {string} params.description - Description for map marker, which will be shown on click or command
-//    */
-//   createMarker({ markerName, position, iconUrl, description, title, markerType, opacity, hideLabel, ignoreCluster }) {
-//     const icon = {
-//       url: iconUrl || '/images/mapicon.png',
-//       size: new google.maps.Size(16, 16),
-//       origin: new google.maps.Point(0, 0),
-//       anchor: new google.maps.Point(8, 8),
-//     };
-//     const snakeCaseTitle = title.replace(/\s/g, '_');
-//     const markerId = this.markers.size + 1;
-//     const marker = {
-//       marker: new google.maps.Marker({
-//         position: {
-//           lat: position.latitude,
-//           lng: position.longitude,
-//         },
-//         opacity: opacity || 0.9,
-//         icon,
-//         map: this.map,
-//       }),
-//       addedTitle: title,
-//       markerId: markerId,
-//       markerType: markerType,
-//     };
-//
-//     if (description) {
-//       marker.addedShortDesc = description.length > this.maxShortDescLength ? `${description.slice(0, this.maxShortDescLength)}..` : `${description}`;
-//       marker.addedExpandedDesc = description.length > this.maxShortDescLength ? `${description.slice(this.maxShortDescLength)}` : undefined;
-//     }
-//
-//     if (!hideLabel) {
-//       this.labels.set(title, new Label({
-//         positionName: title,
-//         labelText: snakeCaseTitle.length > 18 ? `${markerId}:${snakeCaseTitle.slice(0, 18)}..` : `${markerId}:${snakeCaseTitle}`,
-//         position,
-//       }));
-//     }
-//
-//     if (!ignoreCluster && markerClusterer) {
-//       markerClusterer.addMarker(mapMarkers[markerName]);
-//     }
-//
-//     google.maps.event.addListener(marker, 'click', () => {
-//       const projection = overlay.getProjection();
-//       const xy = projection.fromLatLngToContainerPixel(marker.getPosition());
-//
-//       // TODO Create marker info window
-//       console.log(xy);
-//     });
-//
-//     this.markers.set(markerName, marker);
-//   }
-//
-//   /**
-//    * Sets new position for a map marker
-//    * Creates a new map marker if it doesn't exist
-//    * @param {Object} params - Parameters
-//    * @param {string} params.positionName - Name of the map marker
-//    * @param {{latitude: Number, longitude: Number}} params.position - Latitude and longitude coordinates for the map marker
-//    * @param {string} params.description - Description for map marker, which will be shown on click or command
-//    * @param {string} params.markerType - Type of marker
-//    * @param {Date} [params.lastUpdated] - Time of last update
-//    * @param {boolean} [params.hideLabel] - Should the label be hidden?
-//    * @param {string} [params.iconUrl] - Path to custom map marker icon
-//    */
-//   setMarkerPosition({ positionName, position, lastUpdated, markerType, description, hideLabel, iconUrl }) {
-//     const lowerMarkerName = positionName.toLowerCase();
-//     const marker = mapMarkers[lowerMarkerName];
-//
-//     if (marker) {
-//       marker.setPosition(new google.maps.LatLng(position.latitude, position.longitude));
-//       marker.lastUpdated = lastUpdated;
-//     } else {
-//       this.createMarker({
-//         lastUpdated,
-//         position,
-//         hideLabel,
-//         iconUrl,
-//         description,
-//         markerType,
-//         markerName: lowerMarkerName,
-//         title: positionName,
-//       });
-//     }
-//   }
-//
-//   /**
-//    * Creates a polygon and adds it to the map
-//    * @param {Object} params - Parameters
-//    * @param {string} params.positionName - Name of the polygon
-//    * @param {Object[]} params.coordsCollection - Collection of x and y coordinates of the polygon
-//    * @param {boolean} [params.hideLabel] - Should the label be hidden?
-//    */
-//   createPolygon({ positionName, coordsCollection, hideLabel }) {
-//     mapPolygons[positionName] = new google.maps.Polygon({
-//       paths: coordsCollection,
-//       strokeColor: '#008766',
-//       strokeOpacity: 0.9,
-//       strokeWeight: 2,
-//       fillColor: '#00ffcc',
-//       fillOpacity: 0.35,
-//     });
-//
-//     if (!hideLabel) {
-//       // TODO Should center the label inside the polygon
-//       createLabel({
-//         positionName,
-//         labelText: positionName,
-//         position: getPolygonCenter(coordsCollection),
-//         align: 'center',
-//       });
-//     }
-//
-//     mapPolygons[positionName].setMap(map || null);
-//   }
-//
-//   /**
-//    * Sets new positions of the polygon
-//    * Creates a new polygon if one with the sent name doesn't exist
-//    * @param {Object} params - Parameters
-//    * @param {string} params.positionName - Name of the polygon
-//    * @param {Object[]} params.coordsCollection - Collection of x and y coordinates of the polygon
-//    */
-//   setPolygonPosition({ positionName, coordsCollection }) {
-//     if (mapPolygons[positionName]) {
-//       mapPolygons[positionName].setPaths(coordsCollection);
-//     } else {
-//       createPolygon({
-//         coordsCollection,
-//         positionName,
-//       });
-//     }
-//   }
-//
-//   /**
-//    * Creates a line and adds it to the map
-//    * The line can have multiple points
-//    * @param {Object} params - Parameters
-//    * @param {string} params.positionName - Name of the line
-//    * @param {Object[]} params.coordsCollection - Collection of Long and lat coordinates of the line
-//    */
-//   createLine({ positionName, coordsCollection }) {
-//     mapLines[positionName] = new google.maps.Polyline({
-//       path: coordsCollection,
-//       strokeColor: '#008766',
-//       strokeOpacity: 1.0,
-//       strokeWeight: 2,
-//     });
-//
-//     mapLines[positionName].setMap(map || null);
-//   }
-//
-//   /**
-//    * Sets new positions for the line
-//    * Creates a new line if a line with the sent name doesn't exist
-//    * @param {Object} params - Parameters
-//    * @param {string} params.positionName - Name of the line
-//    * @param {Object[]} params.coordsCollection - Collection of long and lat coordinates for the line
-//    */
-//   setLinePosition({ positionName, coordsCollection }) {
-//     if (mapLines[positionName]) {
-//       mapLines[positionName].setPath(coordsCollection);
-//     } else {
-//       createLine({
-//         positionName,
-//         coordsCollection,
-//       });
-//     }
-//   }
-//
-//   /**
-//    * @returns {string} - Returns string representing the type of map view
-//    */
-//   get mapView() {
-//     return this.mapView;
-//   }
-//
-//   /**
-//    * @returns {Object} - Returns map marker representing this user
-//    */
-//   getThisUserMarker() {
-//     return this.mapMarkers.I;
-//   }
-//
-//   /**
-//    * Creates the map marker representing this user
-//    * @param {{longitude: Number, latitude:Number}} position - Long and lat coordinates of the map marker
-//    */
-//   createThisUserMarker(position) {
-//     this.createMarker({
-//       markerName: 'I',
-//       position,
-//       title: 'You',
-//       iconUrl: '/images/mapiconyou.png',
-//       hideLabel: true,
-//     });
-//   }
-//
-//   /**
-//    * Sets new position to the user's map marker
-//    * Creates a new map marker if it doesn't exist
-//    * @param {{longitude: Number, latitude:Number}} position - Long and lat coordinates of the map marker
-//    */
-//   setUserPosition(position) {
-//     if (mapMarkers.I) {
-//       mapMarkers.I.setPosition(new google.maps.LatLng(position.latitude, position.longitude));
-//     } else {
-//       createThisUserMarker(position);
-//     }
-//   }
-//
-//   /**
-//    * Resets map on all labels, in case any of the connected markers are no longer on the map
-//    */
-//   toggleMapLabels() {
-//     const markerKeys = Object.keys(mapMarkers);
-//
-//     for (let i = 0; i < markerKeys.length; i += 1) {
-//       const markerName = markerKeys[i];
-//
-//       if (mapLabels[markerName] && mapLabels[markerName].getMap() !== mapMarkers[markerName].getMap()) {
-//         mapLabels[markerName].setMap(mapMarkers[markerName].getMap());
-//       }
-//     }
-//   }
-//
-//   /**
-//    * Creates new bounds and re-centers the map based on the map view
-//    * @param {Object[]} markers - worldMap markers used to create bounds if map view is "cluster"
-//    */
-//   realignMap(markers) {
-//     const bounds = new google.maps.LatLngBounds();
-//     let centerPos = map.getCenter();
-//
-//     google.maps.event.trigger(map, 'resize');
-//
-//     if (mapView === 'overview') {
-//       const markerKeys = Object.keys(mapMarkers);
-//
-//       for (let i = 0; i < markerKeys.length; i += 1) {
-//         const marker = markerKeys[i];
-//
-//         bounds.extend(mapMarkers[marker].getPosition());
-//       }
-//
-//       map.fitBounds(bounds);
-//       centerPos = bounds.getCenter();
-//     } else if (mapView === 'me' && mapMarkers.I) {
-//       centerPos = mapMarkers.I.getPosition();
-//       map.setZoom(18);
-//     } else if (mapView === 'cluster') {
-//       if (markers) {
-//         for (let i = 0; i < markers.length; i += 1) {
-//           const marker = markers[i];
-//
-//           bounds.extend(marker.getPosition());
-//         }
-//
-//         map.fitBounds(bounds);
-//         centerPos = bounds.getCenter();
-//       }
-//     } else if (mapView === 'area') {
-//       bounds.extend(new google.maps.LatLng(cornerCoords.cornerOne.latitude, cornerCoords.cornerOne.longitude));
-//       bounds.extend(new google.maps.LatLng(cornerCoords.cornerTwo.latitude, cornerCoords.cornerTwo.longitude));
-//
-//       map.fitBounds(bounds);
-//       centerPos = bounds.getCenter();
-//     } else if (mapMarkers[mapView]) {
-//       bounds.extend(mapMarkers[mapView].getPosition());
-//
-//       map.fitBounds(bounds);
-//       centerPos = bounds.getCenter();
-//     }
-//
-//     map.setCenter(centerPos);
-//     // TODO Hide marker info window
-//   }
-//
-//   /**
-//    * Set map to current map on all objects in the collection
-//    * @param {Object} collections - Collection of objects to be attached to the map
-//    */
-//   setMap(collections) {
-//     for (let i = 0; i < collections.length; i += 1) {
-//       const collection = collections[i];
-//       const collectionKeys = Object.keys(collection);
-//
-//       for (let j = 0; j < collectionKeys.length; j += 1) {
-//         collection[collectionKeys[j]].setMap(map);
-//       }
-//     }
-//   }
-//
-//   /**
-//    * Add listeners to map
-//    */
-//   attachMapListeners() {
-//     google.maps.event.addListener(markerClusterer, 'clusterclick', (cluster) => {
-//       const bounds = new google.maps.LatLngBounds();
-//       const markers = cluster.getMarkers();
-//
-//       for (let i = 0; i < markers.length; i += 1) {
-//         bounds.extend(markers[i].getPosition());
-//       }
-//
-//       setMapView('cluster');
-//       realignMap(cluster.getMarkers());
-//     });
-//
-//     google.maps.event.addListener(map, 'click', () => {
-//       // TODO Hide marker info window
-//     });
-//
-//     google.maps.event.addListener(map, 'dragstart', () => {
-//       // TODO Hide marker info window
-//     });
-//
-//     google.maps.event.addListener(map, 'zoom_changed', () => {
-//       // TODO Hide marker info window
-//     });
-//
-//     google.maps.event.addListener(map, 'idle', () => {
-//       toggleMapLabels();
-//     });
-//   }
-//
-//   /**
-//    * Create map clusterer and add all map markers to it
-//    */
-//   createMarkerClusterer() {
-//     markerClusterer = new MarkerClusterer(map, Object.keys(mapMarkers).map(key => mapMarkers[key]), {
-//       gridSize: 24,
-//       maxZoom: 17,
-//       zoomOnClick: false,
-//       singleSize: true,
-//       averageCenter: true,
-//       styles: [{
-//         width: 22,
-//         height: 22,
-//         iconAnchor: [11, 11],
-//         textSize: 11,
-//         url: 'images/m.png',
-//       }],
-//     });
-//   }
-//
-//   /**
-//    * Create map, sets this map on all polygons, markers, lines, creates map clusterer and attaches listeners
-//    * @param {Object} params - Parameters
-//    * @param {Object} params.centerCoordinates - Long and lat coordinates
-//    * @param {Number} params.centerCoordinates.latitude - Center latitude for the map
-//    * @param {Number} params.centerCoordinates.longitude - Center longitude for the map
-//    * @param {Number} params.zoomLevel - Default zoom level
-//    * @param {string} params.elementId - Id of map element
-//    */
-//   createMap(params) {
-//     const elementId = params.elementId;
-//
-//     map =
-//
-//     setMap([mapMarkers, mapPolygons, mapLines, mapLabels]);
-//     createMarkerClusterer();
-//     attachMapListeners(elementId);
-//
-//     /**
-//      * Overlay is used to catch mouse clicks and easily retrieve x and y instead of lot and lang coordinates
-//      */
-//     overlay = new google.maps.OverlayView();
-//     overlay.draw = () => {};
-//     overlay.setMap(map);
-//   }
-//
-//   /**
-//    * Reset view port, which recreates all clusters
-//    */
-//   resetClusters() {
-//     markerClusterer.resetViewport();
-//   }
-//
-//   /**
-//    * @static
-//    * @returns {google.maps.Map} - worldMap
-//    */
-//   getMap() {
-//     return map;
-//   }
-//
-//   /**
-//    * @static
-//    * @param {{latitude: Number, longitude: Number}} position - Long and lat coordinates for the new map center
-//    */
-//   setMapCenter(position) {
-//     if (map) {
-//       map.setCenter(new google.maps.LatLng(parseFloat(position.latitude), parseFloat(position.longitude)));
-//     }
-//   }
-//
-//   /**
-//    * Set corner coordinates of the bounds for the map
-//    * @param {{longitude: Number, latitude: Number}} cornerOneCoords - Corner lat and long coordinates
-//    * @param {{longitude: Number, latitude: Number}} cornerTwoCoords - Corner lat and long coordinates
-//    */
-//   setCornerCoords(cornerOneCoords, cornerTwoCoords) {
-//     cornerCoords.cornerOne = cornerOneCoords;
-//     cornerCoords.cornerTwo = cornerTwoCoords;
-//   }
-//
-//   /**
-//    * Increase the zoom level of the map by 1
-//    */
-//   increaseZoom() {
-//     mapView = '';
-//     map.setZoom(map.getZoom() + 1);
-//   }
-//
-//   /**
-//    * Decrease the zoom level of the map by 1
-//    */
-//   decreaseZoom() {
-//     mapView = '';
-//     map.setZoom(map.getZoom() - 1);
-//   }
-//
-//   /**
-//    * Get description from the map marker
-//    * @static
-//    * @param {Number} markerId - ID of the map marker
-//    * @returns {{title: string, description: string}} - Title and escription of the map marker
-//    */
-//   getInfoText(markerId) {
-//     const marker = mapMarkers[Object.keys(mapMarkers).find(markerName => mapMarkers[markerName].markerId === parseInt(markerId, 10))];
-//
-//     if (!marker) {
-//       return null;
-//     }
-//
-//     let description = marker.addedShortDesc;
-//
-//     if (marker.addedExpandedDesc) {
-//       description = marker.addedShortDesc.slice(0, marker.addedShortDesc.length - 2) + marker.addedExpandedDesc;
-//     }
-//
-//     return { title: marker.addedTitle, description };
-//   }
-//
-//   /**
-//    * Called on mapPositions emit. Adds new map positions
-//    * @param {Object} params - Parameters
-//    * @param {Object[]} params.positions - New map positions
-//    * @param {string} [params.team] - Name of the team that the user in the position belongs to. Valid for user positions
-//    * @param {Date} [params.currentTime] - Time of update of the positions
-//    */
-//   onMapPositions(params) {
-//     const mapPositions = params.positions || [];
-//     const team = params.team;
-//     // TODO Get name of the user
-//     const userName = '';
-//
-//     for (let i = 0; i < mapPositions.length; i += 1) {
-//       const mapPosition = mapPositions[i];
-//
-//       if (mapPosition.positionName.toLowerCase() !== userName) {
-//         const positionName = mapPosition.positionName;
-//         const latitude = parseFloat(mapPosition.position.latitude);
-//         const longitude = parseFloat(mapPosition.position.longitude);
-//         const coordsCollection = mapPosition.position.coordsCollection;
-//         const geometry = mapPosition.geometry;
-//         const type = mapPosition.type;
-//         const group = mapPosition.group;
-//         const description = mapPosition.description;
-//
-//         if (geometry === 'line') {
-//           setLinePosition({
-//             coordsCollection,
-//             positionName,
-//           });
-//         } else if (geometry === 'polygon') {
-//           setPolygonPosition({
-//             positionName,
-//             coordsCollection,
-//           });
-//         } else if (geometry === 'point') {
-//           setMarkerPosition({
-//             positionName,
-//             position: {
-//               latitude,
-//               longitude,
-//             },
-//             description,
-//             markerType: 'location',
-//           });
-//         } else if (type && type === 'user' && mapPosition.lastUpdated) {
-//           const currentTime = new Date(params.currentTime);
-//           const lastUpdated = new Date(mapPosition.lastUpdated);
-//
-//           if (currentTime - lastUpdated < (20 * 60 * 1000)) {
-//             // TODO Create time stamp
-//             const userDescription = `Team: ${mapPosition.group || '-'}. Last seen: `;
-//
-//             setMarkerPosition({
-//               lastUpdated,
-//               positionName,
-//               position: {
-//                 latitude,
-//                 longitude,
-//               },
-//               iconUrl: team && group && team === group ? 'images/mapiconteam.png' : 'images/mapiconuser.png',
-//               hideLabel: true,
-//               description: userDescription,
-//               markerType: type,
-//             });
-//           }
-//         }
-//       }
-//     }
-//
-//     toggleMapLabels();
-//   }
-// }
-//
-// module.exports = WorldMap;
+/*
+ Copyright 2015 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+const Label = require('./Label');
+const MarkerInfo = require('./MarkerInfo');
+const GoogleProvider = require('./providers/GoogleProvider');
+const TileProvider = require('./providers/TileProvider');
+const geoTools = require('./geoTools');
+const mapFormats = require('./mapFormats');
+const textTools = require('../textTools');
+const storage = require('../storage');
+const autoCompleter = require('../autoCompleter');
+
+/**
+ * Create text for a marker label. Long titles are shortened
+ * @private
+ * @param {number} markerId - Id of the marker
+ * @param {string} title - Title of the marker
+ * @returns {string} Label text
+ */
+function createLabelText(markerId, title) {
+  const snakeCaseTitle = title.replace(/\s/g, '_');
+
+  return snakeCaseTitle.length > 18 ? `${markerId}:${snakeCaseTitle.slice(0, 18)}..` : `${markerId}:${snakeCaseTitle}`;
+}
+
+/**
+ * Create texts that show how long ago a position was updated
+ * @private
+ * @param {Date} lastUpdated - Time of last update
+ * @param {number} now - Current time (ms)
+ * @returns {{short: string, full: string}} Short text (example: 5m) and full text (example: 5 min ago (14:32))
+ */
+function createLastSeenText(lastUpdated, now) {
+  const minutes = Math.max(Math.floor((now - lastUpdated.getTime()) / 60000), 0);
+  const timeStamp = textTools.generateTimeStamp({ date: lastUpdated });
+
+  if (minutes < 1) {
+    return { short: 'now', full: `Just now (${timeStamp.halfTime})` };
+  } else if (minutes < 60) {
+    return { short: `${minutes}m`, full: `${minutes} min ago (${timeStamp.halfTime})` };
+  }
+
+  const hours = Math.floor(minutes / 60);
+
+  return { short: `${hours}h`, full: `${hours} h ago (${timeStamp.halfDate} ${timeStamp.halfTime})` };
+}
+
+/**
+ * Create the box that a label covers on the screen
+ * @private
+ * @param {{x: number, y: number}} point - Pixel coordinates of the label
+ * @param {{width: number, height: number}} size - Size of the label
+ * @param {string} align - Text alignment (left|right|center)
+ * @returns {{left: number, right: number, top: number, bottom: number}} Box
+ */
+function createLabelBox(point, size, align) {
+  let left = point.x;
+
+  if (align === 'right') {
+    left -= size.width;
+  } else if (align === 'center') {
+    left -= size.width / 2;
+  }
+
+  return { left, right: left + size.width, top: point.y - (size.height / 2), bottom: point.y + (size.height / 2) };
+}
+
+/**
+ * @private
+ * @param {{left: number, right: number, top: number, bottom: number}} box - Box
+ * @param {{left: number, right: number, top: number, bottom: number}} otherBox - Other box
+ * @returns {boolean} Do the boxes overlap?
+ */
+function isOverlapping(box, otherBox) {
+  return box.left < otherBox.right && box.right > otherBox.left && box.top < otherBox.bottom && box.bottom > otherBox.top;
+}
+
+/**
+ * Draws the map through a provider. Google maps is used if its files have been loaded, otherwise tiles served from the app
+ */
+class WorldMap {
+  /**
+   * @param {Object} params - Parameters
+   * @param {{longitude:number, latitude:number}} params.centerCoordinates - Long and lat coordinates of the map center
+   * @param {{topLeft:{latitude:number, longitude:number},bottomRight:{latitude:number, longitude:number}}} [params.cornerCoordinates] - Corners of the game area. Defaults to the area covered by all polygons
+   * @param {Object} params.htmlElement - Element that the map will be drawn in
+   * @param {number} [params.minZoom] - Lowest zoom level
+   * @param {number} [params.zoomLevel] - Default zoom level
+   * @param {number} [params.maxZoom] - Highest zoom level
+   * @param {number} [params.maxShortDescLength] - Max length of a marker description before it is split into a short and an expanded part
+   * @param {string} [params.backgroundColor] - Background color of the map
+   * @param {string} [params.provider] - Map provider to use (google|tiles). Defaults to google if it has been loaded, otherwise tiles
+   * @param {string} [params.tileUrl] - Path to the tiles used by the tile provider. Defaults to /tiles/{z}/{x}/{y}.png
+   * @param {{age: number, opacity: number}[]} [params.stalenessTiers] - Opacity of user markers that have not been updated for age (ms) or longer
+   * @param {number} [params.expiryAge] - User markers that have not been updated for this long (ms) are removed
+   * @param {number} [params.followResumeDelay] - Time (ms) after the map has been panned manually before the follow view starts following the user again
+   * @param {Function} [params.onViewChange] - Called with the map view and if following is paused, every time either changes
+   */
+  constructor({ centerCoordinates, cornerCoordinates, zoomLevel, htmlElement, minZoom, maxZoom, maxShortDescLength, backgroundColor, provider, tileUrl, stalenessTiers, expiryAge, followResumeDelay, onViewChange }) {
+    const providerOptions = { htmlElement, centerCoordinates, zoomLevel, minZoom, maxZoom, backgroundColor, tileUrl };
+
+    this.MapViewEnum = {
+      NONE: 1,
+      ME: 2,
+      CLUSTER: 3,
+      ALL: 4,
+      GAMEAREA: 5,
+      MARKER: 6,
+      FOLLOW: 7,
+    };
+    this.LayerEnum = {
+      TEAM: 'team',
+      USERS: 'users',
+      LOCATIONS: 'locations',
+      LINES: 'lines',
+      POLYGONS: 'polygons',
+    };
+    this.hiddenLayers = new Set(storage.getLocalVal('hiddenMapLayers') || []);
+    this.team = null;
+    this.markers = new Map();
+    this.hiddenMarkerIds = new Set();
+    this.lines = new Map();
+    this.polygons = new Map();
+    this.labels = new Map();
+    this.staticPositions = new Map();
+    this.lineStyle = {
+      strokeColor: '#008766',
+      strokeOpacity: 1.0,
+      strokeWeight: 2,
+    };
+    this.polygonStyle = {
+      strokeColor: '#008766',
+      strokeOpacity: 0.9,
+      strokeWeight: 2,
+      fillColor: '#00ffcc',
+      fillOpacity: 0.35,
+    };
+    this.lastMarkerId = 0;
+    this.cornerCoordinates = cornerCoordinates || null;
+    this.onViewChange = onViewChange || (() => {});
+    this.followResumeDelay = followResumeDelay || 30000;
+    this.followTimeout = null;
+    this.isFollowPaused = false;
+    this.focusedMarkerName = null;
+    this.mapView = this.MapViewEnum.GAMEAREA;
+    this.maxShortDescLength = maxShortDescLength || 200;
+    this.userName = null;
+    this.accuracyCircle = null;
+    this.stalenessTiers = (stalenessTiers || [
+      { age: 0, opacity: 0.9 },
+      { age: 5 * 60 * 1000, opacity: 0.6 },
+      { age: 10 * 60 * 1000, opacity: 0.35 },
+    ]).sort((a, b) => a.age - b.age);
+    this.expiryAge = expiryAge || 20 * 60 * 1000;
+    this.serverTimeOffset = 0;
+    this.route = null;
+    this.measurement = null;
+
+    if (provider === 'tiles' || (provider !== 'google' && !GoogleProvider.isAvailable())) {
+      this.provider = new TileProvider(providerOptions);
+    } else {
+      this.provider = new GoogleProvider(providerOptions);
+    }
+
+    this.markerInfo = new MarkerInfo({ parentElement: htmlElement });
+
+    this.attachMapListeners();
+    this.stalenessInterval = setInterval(() => this.updateStaleness(), 30000);
+  }
+
+  /**
+   * Sets new map view. Affects how the map is realigned and shown
+   * @param {number} view - Type of map view
+   */
+  set mapView(view) {
+    this.currentMapView = view;
+    this.isFollowPaused = false;
+    clearTimeout(this.followTimeout);
+    this.onViewChange({ mapView: view, isFollowPaused: false });
+  }
+
+  /**
+   * @returns {number} - Returns number representing the type of map view
+   */
+  get mapView() {
+    return this.currentMapView;
+  }
+
+  /**
+   * Creates a map marker, adds it to the map and calls the creation of a label (if flag is set)
+   * @param {Object} params - Parameters
+   * @param {string} params.markerName - Name of the map marker
+   * @param {string} params.title - Title of the marker description
+   * @param {string} params.markerType - Type of the marker
+   * @param {number} params.opacity - Opacity of the marker in the view
+   * @param {boolean} params.hideLabel - Should the label be hidden in the view?
+   * @param {boolean} params.ignoreCluster - Should the marker be excluded from clusters?
+   * @param {string} params.iconUrl - Path to a custom icon image
+   * @param {{longitude: Number, latitude: Number}} params.position - Long and lat coordinates of the map marker
+   * @param {string} params.description - Description for map marker, which will be shown on click or command
+   * @param {Date} [params.lastUpdated] - Time of last update
+   * @param {string} [params.group] - Name of the team that the user in the marker belongs to
+   */
+  createMarker({ markerName, position, iconUrl, description, title, markerType, opacity, hideLabel, ignoreCluster, lastUpdated, group }) {
+    this.lastMarkerId += 1;
+    const markerId = this.lastMarkerId;
+    const marker = {
+      marker: this.provider.createMarker({
+        position,
+        iconUrl: iconUrl || '/images/mapicon.png',
+        opacity: opacity || 0.9,
+        onClick: () => this.showMarkerInfo(marker),
+      }),
+      addedTitle: title,
+      markerId,
+      markerType,
+      lastUpdated,
+      group,
+    };
+
+    if (description) {
+      marker.addedShortDesc = description.length > this.maxShortDescLength ? `${description.slice(0, this.maxShortDescLength)}..` : `${description}`;
+      marker.addedExpandedDesc = description.length > this.maxShortDescLength ? `${description.slice(this.maxShortDescLength)}` : undefined;
+    }
+
+    if (!hideLabel) {
+      this.labels.set(markerName, new Label({
+        positionName: title,
+        labelText: createLabelText(markerId, title),
+        position,
+        worldMap: this,
+      }));
+    }
+
+    if (!ignoreCluster) {
+      this.provider.clusterMarker(marker.marker);
+    }
+
+    this.markers.set(markerName, marker);
+    this.updateMarkerVisibility(marker);
+  }
+
+  /**
+   * Sets new position for a map marker
+   * Creates a new map marker if it doesn't exist
+   * @param {Object} params - Parameters
+   * @param {string} params.positionName - Name of the map marker
+   * @param {{latitude: Number, longitude: Number}} params.position - Latitude and longitude coordinates for the map marker
+   * @param {string} params.description - Description for map marker, which will be shown on click or command
+   * @param {string} params.markerType - Type of marker
+   * @param {Date} [params.lastUpdated] - Time of last update
+   * @param {boolean} [params.hideLabel] - Should the label be hidden?
+   * @param {string} [params.iconUrl] - Path to custom map marker icon
+   * @param {string} [params.group] - Name of the team that the user in the marker belongs to
+   */
+  setMarkerPosition({ positionName, position, lastUpdated, markerType, description, hideLabel, iconUrl, group }) {
+    const lowerMarkerName = positionName.toLowerCase();
+    const marker = this.markers.get(lowerMarkerName);
+
+    if (marker) {
+      this.provider.setMarkerPosition(marker.marker, position);
+      marker.lastUpdated = lastUpdated;
+      marker.group = group;
+
+      if (this.labels.has(lowerMarkerName)) {
+        this.labels.get(lowerMarkerName).setPosition(position);
+      }
+
+      this.updateMarkerVisibility(marker);
+      this.updateRoute();
+    } else {
+      this.createMarker({
+        lastUpdated,
+        position,
+        hideLabel,
+        iconUrl,
+        description,
+        markerType,
+        group,
+        markerName: lowerMarkerName,
+        title: positionName,
+      });
+    }
+  }
+
+  /**
+   * Creates a polygon and adds it to the map
+   * @param {Object} params - Parameters
+   * @param {string} params.positionName - Name of the polygon
+   * @param {Object[]} params.coordsCollection - Collection of x and y coordinates of the polygon
+   * @param {boolean} [params.hideLabel] - Should the label be hidden?
+   * @param {Object} [params.style] - Stroke and fill color, opacity and weight. Overrides the default polygon style
+   */
+  createPolygon({ positionName, coordsCollection, hideLabel, style }) {
+    const path = geoTools.toPositions(coordsCollection);
+
+    this.polygons.set(positionName, this.provider.createPolygon({
+      path,
+      style: Object.assign({}, this.polygonStyle, style),
+    }));
+    this.provider.setVisible(this.polygons.get(positionName), this.isLayerVisible(this.LayerEnum.POLYGONS));
+
+    if (!hideLabel) {
+      this.labels.set(positionName, new Label({
+        positionName,
+        labelText: positionName,
+        position: geoTools.getPoleOfInaccessibility(path),
+        align: 'center',
+        worldMap: this,
+      }));
+
+      if (!this.isLayerVisible(this.LayerEnum.POLYGONS)) {
+        this.labels.get(positionName).hideLabel();
+      }
+    }
+  }
+
+  /**
+   * Sets new positions of the polygon
+   * Creates a new polygon if one with the sent name doesn't exist
+   * @param {Object} params - Parameters
+   * @param {string} params.positionName - Name of the polygon
+   * @param {Object[]} params.coordsCollection - Collection of x and y coordinates of the polygon
+   * @param {Object} [params.style] - Stroke and fill color, opacity and weight. Overrides the default polygon style
+   */
+  setPolygonPosition({ positionName, coordsCollection, style }) {
+    if (this.polygons.has(positionName)) {
+      const path = geoTools.toPositions(coordsCollection);
+
+      this.provider.setPolygonPath(this.polygons.get(positionName), path);
+
+      if (style) {
+        this.provider.setShapeStyle(this.polygons.get(positionName), Object.assign({}, this.polygonStyle, style));
+      }
+
+      if (this.labels.has(positionName)) {
+        this.labels.get(positionName).setPosition(geoTools.getPoleOfInaccessibility(path));
+      }
+    } else {
+      this.createPolygon({
+        coordsCollection,
+        positionName,
+        style,
+      });
+    }
+  }
+
+  /**
+   * Creates a line and adds it to the map
+   * The line can have multiple points
+   * @param {Object} params - Parameters
+   * @param {string} params.positionName - Name of the line
+   * @param {Object[]} params.coordsCollection - Collection of Long and lat coordinates of the line
+   * @param {Object} [params.style] - Stroke color, opacity and weight. Overrides the default line style
+   */
+  createLine({ positionName, coordsCollection, style }) {
+    this.lines.set(positionName, this.provider.createLine({
+      path: geoTools.toPositions(coordsCollection),
+      style: Object.assign({}, this.lineStyle, style),
+    }));
+    this.provider.setVisible(this.lines.get(positionName), this.isLayerVisible(this.LayerEnum.LINES));
+  }
+
+  /**
+   * Sets new positions for the line
+   * Creates a new line if a line with the sent name doesn't exist
+   * @param {Object} params - Parameters
+   * @param {string} params.positionName - Name of the line
+   * @param {Object[]} params.coordsCollection - Collection of long and lat coordinates for the line
+   * @param {Object} [params.style] - Stroke color, opacity and weight. Overrides the default line style
+   */
+  setLinePosition({ positionName, coordsCollection, style }) {
+    if (this.lines.has(positionName)) {
+      this.provider.setLinePath(this.lines.get(positionName), geoTools.toPositions(coordsCollection));
+
+      if (style) {
+        this.provider.setShapeStyle(this.lines.get(positionName), Object.assign({}, this.lineStyle, style));
+      }
+    } else {
+      this.createLine({
+        positionName,
+        coordsCollection,
+        style,
+      });
+    }
+  }
+
+  /**
+   * @returns {Object} - Returns map marker representing this user
+   */
+  getThisUserMarker() {
+    return this.markers.get('I');
+  }
+
+  /**
+   * Creates the map marker representing this user
+   * @param {{longitude: Number, latitude:Number}} position - Long and lat coordinates of the map marker
+   */
+  createThisUserMarker(position) {
+    this.createMarker({
+      markerName: 'I',
+      position,
+      title: 'You',
+      iconUrl: '/images/mapiconyou.png',
+      hideLabel: true,
+      ignoreCluster: true,
+      lastUpdated: position.timeStamp,
+    });
+  }
+
+  /**
+   * Sets new position to the user's map marker and resizes the accuracy circle around it
+   * Creates a new map marker if it doesn't exist
+   * @param {{longitude: Number, latitude: Number, accuracy: Number, timeStamp: Date}} position - Long and lat coordinates of the map marker. Accuracy (meters) is used as the radius of the circle
+   */
+  setUserPosition(position) {
+    const marker = this.getThisUserMarker();
+
+    if (marker) {
+      this.provider.setMarkerPosition(marker.marker, position);
+      marker.lastUpdated = position.timeStamp;
+    } else {
+      this.createThisUserMarker(position);
+    }
+
+    this.updateRoute();
+
+    if (this.mapView === this.MapViewEnum.FOLLOW && !this.isFollowPaused) {
+      this.provider.setCenter(position);
+    }
+
+    if (!position.accuracy) {
+      return;
+    }
+
+    if (this.accuracyCircle !== null) {
+      this.provider.setCirclePosition(this.accuracyCircle, position, position.accuracy);
+    } else {
+      this.accuracyCircle = this.provider.createCircle({
+        position,
+        radius: position.accuracy,
+        style: {
+          strokeColor: '#ff02e5',
+          strokeOpacity: 0.6,
+          strokeWeight: 1,
+          fillColor: '#ff02e5',
+          fillOpacity: 0.15,
+        },
+      });
+    }
+  }
+
+  /**
+   * Remove the user's map marker and accuracy circle
+   */
+  removeUserPosition() {
+    this.removeMarker('I');
+
+    if (this.accuracyCircle !== null) {
+      this.provider.removeObject(this.accuracyCircle);
+      this.accuracyCircle = null;
+    }
+  }
+
+  /**
+   * Set name of the logged in user. Positions sent from the server with the name will not be shown, as the user has its own marker
+   * @param {string|null} userName - Name of the user
+   */
+  setUserName(userName) {
+    this.userName = userName ? userName.toLowerCase() : null;
+    this.markerInfo.hideInfo();
+
+    if (this.userName) {
+      this.removeMarker(this.userName);
+    }
+  }
+
+  /**
+   * Shows or hides labels, in case any of the connected markers are no longer on the map
+   */
+  toggleMapLabels() {
+    for (const [markerName, marker] of this.markers) {
+      const label = this.labels.get(markerName);
+
+      if (label) {
+        const isMarkerVisible = this.provider.isVisible(marker.marker);
+
+        if (isMarkerVisible && !label.isVisible()) {
+          label.showLabel();
+        } else if (!isMarkerVisible && label.isVisible()) {
+          label.hideLabel();
+        }
+      }
+    }
+
+    this.layoutLabels();
+  }
+
+  /**
+   * Move labels that overlap other labels above or below their position. Labels that still overlap are hidden
+   * Polygon labels are placed first, followed by marker labels in the order they were created
+   */
+  layoutLabels() {
+    const placedBoxes = [];
+    const labels = Array.from(this.labels)
+      .filter(([, label]) => label.isVisible())
+      .sort(([nameA], [nameB]) => Number(this.polygons.has(nameB)) - Number(this.polygons.has(nameA)))
+      .map(([, label]) => label);
+
+    for (const label of labels) {
+      const point = this.provider.toContainerPixel(label.position);
+
+      // Google maps can't convert positions until the map has been drawn
+      if (!point) {
+        return;
+      }
+
+      const size = label.getSize();
+      const offsetY = [0, -(size.height + 2), size.height + 2].find((offset) => {
+        const box = createLabelBox({ x: point.x, y: point.y + offset }, size, label.getAlign());
+
+        return !placedBoxes.some(placedBox => isOverlapping(box, placedBox));
+      });
+
+      if (offsetY === undefined) {
+        label.setCollided(true);
+      } else {
+        placedBoxes.push(createLabelBox({ x: point.x, y: point.y + offsetY }, size, label.getAlign()));
+        label.setOffsetPosition(offsetY === 0 ? null : this.provider.fromContainerPixel({ x: point.x, y: point.y + offsetY }));
+        label.setCollided(false);
+      }
+    }
+  }
+
+  /**
+   * Creates new bounds and re-centers the map based on the map view
+   * @param {{latitude: number, longitude: number}[]} [clusterPositions] - Positions used to create bounds if map view is cluster
+   * @returns {boolean} Was the map realigned? False if the view has nothing to show, such as me without the user's position
+   */
+  realignMap(clusterPositions) {
+    this.provider.resize();
+    this.markerInfo.hideInfo();
+
+    const userMarker = this.getThisUserMarker();
+
+    if (this.mapView === this.MapViewEnum.ALL) {
+      const positions = Array.from(this.markers.values())
+        .filter(marker => !this.hiddenMarkerIds.has(marker.markerId))
+        .map(marker => this.provider.getMarkerPosition(marker.marker));
+
+      this.provider.fitBounds(positions);
+
+      return positions.length > 0;
+    } else if (this.mapView === this.MapViewEnum.ME || this.mapView === this.MapViewEnum.FOLLOW) {
+      if (!userMarker) {
+        return false;
+      }
+
+      this.provider.setCenter(this.provider.getMarkerPosition(userMarker.marker));
+      this.provider.setZoom(18);
+    } else if (this.mapView === this.MapViewEnum.CLUSTER) {
+      if (!clusterPositions) {
+        return false;
+      }
+
+      this.provider.fitBounds(clusterPositions);
+    } else if (this.mapView === this.MapViewEnum.GAMEAREA) {
+      const positions = this.getGameAreaPositions();
+
+      this.provider.fitBounds(positions);
+
+      return positions.length > 0;
+    } else if (this.mapView === this.MapViewEnum.MARKER) {
+      if (!this.markers.has(this.focusedMarkerName)) {
+        return false;
+      }
+
+      this.provider.fitBounds([this.provider.getMarkerPosition(this.markers.get(this.focusedMarkerName).marker)]);
+    }
+
+    return true;
+  }
+
+  /**
+   * Positions that the game area view shows. The corner coordinates are used if they have been set, otherwise the corners of all polygons
+   * @returns {{latitude: number, longitude: number}[]} Positions in the game area. Empty if there is no game area
+   */
+  getGameAreaPositions() {
+    if (this.cornerCoordinates) {
+      return [this.cornerCoordinates.topLeft, this.cornerCoordinates.bottomRight];
+    }
+
+    return Array.from(this.staticPositions.values())
+      .filter(mapPosition => mapPosition.geometry === 'polygon')
+      .reduce((positions, mapPosition) => positions.concat(geoTools.toPositions(mapPosition.position.coordsCollection)), []);
+  }
+
+  /**
+   * Show info panel with title, description and time of last update at the marker
+   * @param {Object} marker - Marker object
+   */
+  showMarkerInfo(marker) {
+    this.markerInfo.showInfo({
+      marker,
+      position: this.provider.toContainerPixel(this.provider.getMarkerPosition(marker.marker)),
+    });
+  }
+
+  /**
+   * Stop following the user after the map has been panned manually. Following is resumed after a delay
+   * Panning again during the delay restarts it
+   */
+  pauseFollow() {
+    clearTimeout(this.followTimeout);
+
+    if (!this.isFollowPaused) {
+      this.isFollowPaused = true;
+      this.onViewChange({ mapView: this.mapView, isFollowPaused: true });
+    }
+
+    this.followTimeout = setTimeout(() => this.resumeFollow(), this.followResumeDelay);
+  }
+
+  /**
+   * Start following the user again and center the map on the user
+   */
+  resumeFollow() {
+    const userMarker = this.getThisUserMarker();
+
+    clearTimeout(this.followTimeout);
+    this.isFollowPaused = false;
+    this.onViewChange({ mapView: this.mapView, isFollowPaused: false });
+
+    if (userMarker) {
+      this.provider.setCenter(this.provider.getMarkerPosition(userMarker.marker));
+    }
+  }
+
+  /**
+   * Add listeners to map
+   */
+  attachMapListeners() {
+    this.provider.addListener('clusterclick', (positions) => {
+      this.mapView = this.MapViewEnum.CLUSTER;
+      this.realignMap(positions);
+    });
+
+    this.provider.addListener('click', (position) => {
+      this.markerInfo.hideInfo();
+
+      if (this.measurement) {
+        this.addMeasurePoint(position);
+      }
+    });
+    this.provider.addListener('dragstart', () => {
+      this.markerInfo.hideInfo();
+
+      if (this.mapView === this.MapViewEnum.FOLLOW) {
+        this.pauseFollow();
+      }
+    });
+    this.provider.addListener('zoom_changed', () => this.markerInfo.hideInfo());
+
+    this.provider.addListener('idle', () => {
+      this.toggleMapLabels();
+    });
+  }
+
+  /**
+   * Reset view port, which recreates all clusters
+   */
+  resetClusters() {
+    this.provider.resetClusters();
+  }
+
+  /**
+   * @returns {GoogleProvider|TileProvider} - Map provider
+   */
+  getMap() {
+    return this.provider;
+  }
+
+  /**
+   * @param {{latitude: Number, longitude: Number}} position - Long and lat coordinates for the new map center
+   */
+  setMapCenter(position) {
+    this.provider.setCenter({ latitude: parseFloat(position.latitude), longitude: parseFloat(position.longitude) });
+  }
+
+  /**
+   * Set corner coordinates of the bounds for the map
+   * @param {{longitude: Number, latitude: Number}} topLeft - Corner lat and long coordinates
+   * @param {{longitude: Number, latitude: Number}} bottomRight - Corner lat and long coordinates
+   */
+  setCornerCoords(topLeft, bottomRight) {
+    this.cornerCoordinates = { topLeft, bottomRight };
+  }
+
+  /**
+   * Increase the zoom level of the map by 1
+   */
+  increaseZoom() {
+    if (this.mapView !== this.MapViewEnum.FOLLOW) {
+      this.mapView = this.MapViewEnum.NONE;
+    }
+
+    this.provider.setZoom(this.provider.getZoom() + 1);
+  }
+
+  /**
+   * Decrease the zoom level of the map by 1
+   */
+  decreaseZoom() {
+    if (this.mapView !== this.MapViewEnum.FOLLOW) {
+      this.mapView = this.MapViewEnum.NONE;
+    }
+
+    this.provider.setZoom(this.provider.getZoom() - 1);
+  }
+
+  /**
+   * @param {Number} markerId - ID of the map marker
+   * @returns {Object|null} Marker object. null if it doesn't exist
+   */
+  getMarkerById(markerId) {
+    return Array.from(this.markers.values()).find(mapMarker => mapMarker.markerId === parseInt(markerId, 10)) || null;
+  }
+
+  /**
+   * @param {Object} marker - Marker object
+   * @returns {string} Name that the marker is stored with
+   */
+  getMarkerName(marker) {
+    return Array.from(this.markers.keys()).find(markerName => this.markers.get(markerName) === marker);
+  }
+
+  /**
+   * Find markers with titles or descriptions that match the query. Matching titles are ranked higher than descriptions
+   * @param {string} query - Text to search for
+   * @returns {Object[]} Matching marker objects, best match first
+   */
+  searchMarkers(query) {
+    return Array.from(this.markers.values())
+      .map(marker => ({
+        marker,
+        score: Math.max(autoCompleter.fuzzyScore(query, marker.addedTitle) * 2, autoCompleter.fuzzyScore(query, `${marker.addedShortDesc || ''}${marker.addedExpandedDesc || ''}`)),
+      }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(result => result.marker);
+  }
+
+  /**
+   * Center and zoom the map on a marker
+   * @param {Number} markerId - ID of the map marker
+   * @returns {Object|null} Marker object. null if it doesn't exist
+   */
+  focusMarker(markerId) {
+    const marker = this.getMarkerById(markerId);
+
+    if (!marker) {
+      return null;
+    }
+
+    this.focusedMarkerName = this.getMarkerName(marker);
+    this.mapView = this.MapViewEnum.MARKER;
+    this.realignMap();
+
+    return marker;
+  }
+
+  /**
+   * Get description from the map marker
+   * @param {Number} markerId - ID of the map marker
+   * @returns {{title: string, description: string}} - Title and escription of the map marker
+   */
+  getInfoText(markerId) {
+    const marker = this.getMarkerById(markerId);
+
+    if (!marker) {
+      return null;
+    }
+
+    let description = marker.addedShortDesc;
+
+    if (marker.addedExpandedDesc) {
+      description = marker.addedShortDesc.slice(0, marker.addedShortDesc.length - 2) + marker.addedExpandedDesc;
+    }
+
+    return { title: marker.addedTitle, description };
+  }
+
+  /**
+   * Called on mapPositions emit. Adds new map positions
+   * @param {Object} params - Parameters
+   * @param {Object[]} params.positions - New map positions
+   * @param {string} [params.team] - Name of the team that the user in the position belongs to. Valid for user positions
+   * @param {Date} [params.currentTime] - Time of update of the positions
+   */
+  onMapPositions({ positions, team, currentTime }) {
+    const mapPositions = positions || [];
+    const hasTeamChanged = Boolean(team) && team !== this.team;
+
+    if (hasTeamChanged) {
+      this.team = team;
+    }
+
+    if (currentTime) {
+      this.serverTimeOffset = (new Date()).getTime() - new Date(currentTime).getTime();
+    }
+
+    for (const mapPosition of mapPositions) {
+      if (mapPosition.positionName.toLowerCase() !== this.userName) {
+        const positionName = mapPosition.positionName;
+        const latitude = parseFloat(mapPosition.position.latitude);
+        const longitude = parseFloat(mapPosition.position.longitude);
+        const coordsCollection = mapPosition.position.coordsCollection;
+        const geometry = mapPosition.geometry;
+        const type = mapPosition.type;
+        const group = mapPosition.group;
+        const description = mapPosition.description;
+        const style = mapPosition.style;
+
+        if (geometry === 'line' || geometry === 'polygon' || geometry === 'point') {
+          this.staticPositions.set(positionName, Object.assign({}, this.staticPositions.get(positionName), mapPosition));
+        }
+
+        if (geometry === 'line') {
+          this.setLinePosition({
+            coordsCollection,
+            positionName,
+            style,
+          });
+        } else if (geometry === 'polygon') {
+          this.setPolygonPosition({
+            positionName,
+            coordsCollection,
+            style,
+          });
+        } else if (geometry === 'point') {
+          this.setMarkerPosition({
+            positionName,
+            position: {
+              latitude,
+              longitude,
+            },
+            description,
+            markerType: mapPosition.markerType || 'location',
+          });
+        } else if (type && type === 'user' && mapPosition.lastUpdated) {
+          const lastUpdated = new Date(mapPosition.lastUpdated);
+
+          if (this.getServerTime() - lastUpdated.getTime() < this.expiryAge) {
+            this.setMarkerPosition({
+              lastUpdated,
+              positionName,
+              group,
+              position: {
+                latitude,
+                longitude,
+              },
+              iconUrl: team && group && team === group ? '/images/mapiconteam.png' : '/images/mapiconuser.png',
+              markerType: type,
+            });
+          }
+        }
+      }
+    }
+
+    if (hasTeamChanged) {
+      this.updateLayers();
+    }
+
+    this.updateStaleness();
+    this.toggleMapLabels();
+  }
+
+  /**
+   * Add lines, polygons and locations from the content of a GeoJSON or KML file
+   * Positions with the same name as existing ones replace them. They are only shown locally
+   * @param {string} text - Content of the file
+   * @returns {number} Amount of positions that were added
+   */
+  importMapFile(text) {
+    const mapPositions = mapFormats.parseMapFile(text);
+
+    this.onMapPositions({ positions: mapPositions });
+
+    return mapPositions.length;
+  }
+
+  /**
+   * Export lines, polygons and locations shown on the map. Users are not exported
+   * @param {string} format - Format of the file (geojson|kml)
+   * @returns {string} Content of the file
+   */
+  exportMapFile(format) {
+    const mapPositions = Array.from(this.staticPositions.values());
+
+    if (format === 'kml') {
+      return mapFormats.toKml(mapPositions);
+    }
+
+    return JSON.stringify(mapFormats.toGeoJson(mapPositions), null, 2);
+  }
+
+  /**
+   * Get the layer that the marker belongs to. Users are split into the user's own team and other users
+   * @param {Object} marker - Marker object
+   * @returns {string|null} Name of the layer. null if the marker doesn't belong to a layer and is always shown
+   */
+  getMarkerLayer(marker) {
+    if (marker.markerType === 'user') {
+      return this.team && marker.group === this.team ? this.LayerEnum.TEAM : this.LayerEnum.USERS;
+    } else if (marker.markerType === 'location') {
+      return this.LayerEnum.LOCATIONS;
+    }
+
+    return null;
+  }
+
+  /**
+   * @returns {string[]} Names of all layers
+   */
+  getLayerNames() {
+    return Object.keys(this.LayerEnum).map(key => this.LayerEnum[key]);
+  }
+
+  /**
+   * @param {string} layerName - Name of the layer
+   * @returns {boolean} Is the layer shown?
+   */
+  isLayerVisible(layerName) {
+    return !this.hiddenLayers.has(layerName);
+  }
+
+  /**
+   * Show or hide all objects in a layer. The choice is stored
+   * @param {string} layerName - Name of the layer. Should be one of LayerEnum
+   * @param {boolean} isVisible - Should the layer be shown?
+   */
+  setLayerVisibility(layerName, isVisible) {
+    if (isVisible) {
+      this.hiddenLayers.delete(layerName);
+    } else {
+      this.hiddenLayers.add(layerName);
+    }
+
+    storage.setLocalVal('hiddenMapLayers', Array.from(this.hiddenLayers));
+    this.updateLayers();
+  }
+
+  /**
+   * Show or hide the marker depending on if its layer is shown
+   * @param {Object} marker - Marker object
+   */
+  updateMarkerVisibility(marker) {
+    const layerName = this.getMarkerLayer(marker);
+    const isHidden = layerName !== null && !this.isLayerVisible(layerName);
+
+    if (this.hiddenMarkerIds.has(marker.markerId) === isHidden) {
+      return;
+    }
+
+    if (isHidden) {
+      this.hiddenMarkerIds.add(marker.markerId);
+    } else {
+      this.hiddenMarkerIds.delete(marker.markerId);
+    }
+
+    this.provider.setVisible(marker.marker, !isHidden);
+
+    if (isHidden && this.markerInfo.marker === marker) {
+      this.markerInfo.hideInfo();
+    }
+  }
+
+  /**
+   * Show or hide all markers, lines and polygons depending on if their layer is shown
+   */
+  updateLayers() {
+    const areLinesVisible = this.isLayerVisible(this.LayerEnum.LINES);
+    const arePolygonsVisible = this.isLayerVisible(this.LayerEnum.POLYGONS);
+
+    for (const marker of this.markers.values()) {
+      this.updateMarkerVisibility(marker);
+    }
+
+    for (const lineId of this.lines.values()) {
+      this.provider.setVisible(lineId, areLinesVisible);
+    }
+
+    for (const [positionName, polygonId] of this.polygons) {
+      const label = this.labels.get(positionName);
+
+      this.provider.setVisible(polygonId, arePolygonsVisible);
+
+      if (label && arePolygonsVisible) {
+        label.showLabel();
+      } else if (label) {
+        label.hideLabel();
+      }
+    }
+
+    this.resetClusters();
+    this.toggleMapLabels();
+  }
+
+  /**
+   * @returns {number} Current time (ms) on the server, based on the time sent with the latest map positions
+   */
+  getServerTime() {
+    return (new Date()).getTime() - this.serverTimeOffset;
+  }
+
+  /**
+   * Get opacity for a user marker that has not been updated for a while
+   * @param {number} age - Time (ms) since last update
+   * @returns {number} Opacity
+   */
+  getStalenessOpacity(age) {
+    const tier = this.stalenessTiers.filter(stalenessTier => age >= stalenessTier.age).pop();
+
+    return tier ? tier.opacity : 0.9;
+  }
+
+  /**
+   * Fade user markers that have not been updated for a while, update their last seen texts and remove expired markers
+   */
+  updateStaleness() {
+    const now = this.getServerTime();
+
+    for (const [markerName, marker] of this.markers) {
+      if (marker.markerType === 'user' && marker.lastUpdated) {
+        const age = now - marker.lastUpdated.getTime();
+
+        if (age >= this.expiryAge) {
+          this.removeMarker(markerName);
+        } else {
+          const lastSeenText = createLastSeenText(marker.lastUpdated, now);
+          const label = this.labels.get(markerName);
+
+          marker.addedShortDesc = `Team: ${marker.group || '-'}. Last seen: ${lastSeenText.full}`;
+          this.provider.setMarkerOpacity(marker.marker, this.getStalenessOpacity(age));
+
+          if (label) {
+            label.setText(`${createLabelText(marker.markerId, marker.addedTitle)} ${lastSeenText.short}`);
+          }
+
+          if (this.markerInfo.marker === marker) {
+            this.markerInfo.printDescription();
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove map marker and its label
+   * @param {string} markerName - Name of the map marker
+   */
+  removeMarker(markerName) {
+    const marker = this.markers.get(markerName);
+
+    if (!marker) {
+      return;
+    }
+
+    if (this.markerInfo.marker === marker) {
+      this.markerInfo.hideInfo();
+    }
+
+    if (this.labels.has(markerName)) {
+      this.labels.get(markerName).worldMap = null;
+      this.labels.delete(markerName);
+    }
+
+    this.provider.removeObject(marker.marker);
+    this.markers.delete(markerName);
+    this.hiddenMarkerIds.delete(marker.markerId);
+    this.updateRoute();
+  }
+
+  /**
+   * Draw a line from the user's marker to another marker. The line follows both markers when they move
+   * @param {Object} params - Parameters
+   * @param {number} params.markerId - Id of the marker to route to
+   * @param {Function} params.onUpdate - Called with title, distance (meters) and bearing (degrees) every time the route changes. Called with null if the marker is removed
+   * @returns {boolean} Does the marker exist?
+   */
+  setRoute({ markerId, onUpdate }) {
+    const marker = this.getMarkerById(markerId);
+
+    if (!marker) {
+      return false;
+    }
+
+    this.removeRoute();
+    this.route = { markerName: this.getMarkerName(marker), lineId: null, onUpdate };
+    this.updateRoute();
+
+    return true;
+  }
+
+  /**
+   * Redraw the route line and notify about the new distance and bearing
+   * Distance and bearing are not set if the user's position is unknown
+   */
+  updateRoute() {
+    if (!this.route) {
+      return;
+    }
+
+    const target = this.markers.get(this.route.markerName);
+    const userMarker = this.getThisUserMarker();
+
+    if (!target) {
+      const onUpdate = this.route.onUpdate;
+
+      this.removeRoute();
+      onUpdate(null);
+
+      return;
+    } else if (!userMarker) {
+      if (this.route.lineId !== null) {
+        this.provider.removeObject(this.route.lineId);
+        this.route.lineId = null;
+      }
+
+      this.route.onUpdate({ title: target.addedTitle });
+
+      return;
+    }
+
+    const from = this.provider.getMarkerPosition(userMarker.marker);
+    const to = this.provider.getMarkerPosition(target.marker);
+
+    if (this.route.lineId === null) {
+      this.route.lineId = this.provider.createLine({
+        path: [from, to],
+        style: {
+          strokeColor: '#ff02e5',
+          strokeOpacity: 0.9,
+          strokeWeight: 2,
+        },
+      });
+    } else {
+      this.provider.setLinePath(this.route.lineId, [from, to]);
+    }
+
+    this.route.onUpdate({
+      title: target.addedTitle,
+      distance: geoTools.getDistance(from, to),
+      bearing: geoTools.getBearing(from, to),
+    });
+  }
+
+  /**
+   * Remove the route line
+   */
+  removeRoute() {
+    if (this.route && this.route.lineId !== null) {
+      this.provider.removeObject(this.route.lineId);
+    }
+
+    this.route = null;
+  }
+
+  /**
+   * Start measure mode. Every click on the map adds a point to a line
+   * @param {Object} params - Parameters
+   * @param {Function} params.onUpdate - Called with total distance (meters), bearing (degrees) of the last part and amount of points every time a point is added
+   */
+  startMeasure({ onUpdate }) {
+    this.stopMeasure();
+    this.measurement = { path: [], lineId: null, onUpdate };
+  }
+
+  /**
+   * Add point to the measured line
+   * @param {{latitude: number, longitude: number}} position - Lat and long coordinates of the point
+   */
+  addMeasurePoint(position) {
+    const path = this.measurement.path;
+
+    path.push(position);
+
+    if (path.length < 2) {
+      this.measurement.onUpdate({ distance: 0, pointCount: path.length });
+
+      return;
+    } else if (this.measurement.lineId === null) {
+      this.measurement.lineId = this.provider.createLine({
+        path,
+        style: {
+          strokeColor: '#ff02e5',
+          strokeOpacity: 0.9,
+          strokeWeight: 2,
+        },
+      });
+    } else {
+      this.provider.setLinePath(this.measurement.lineId, path);
+    }
+
+    this.measurement.onUpdate({
+      distance: geoTools.getPathDistance(path),
+      bearing: geoTools.getBearing(path[path.length - 2], path[path.length - 1]),
+      pointCount: path.length,
+    });
+  }
+
+  /**
+   * Stop measure mode and remove the measured line
+   */
+  stopMeasure() {
+    if (this.measurement && this.measurement.lineId !== null) {
+      this.provider.removeObject(this.measurement.lineId);
+    }
+
+    this.measurement = null;
+  }
+
+  /**
+   * Stop updating the staleness of user markers and following the user. Should be called before the map is removed
+   */
+  stopUpdates() {
+    clearInterval(this.stalenessInterval);
+    clearTimeout(this.followTimeout);
+  }
+}
+
+module.exports = WorldMap;
@@ -0,0 +1,308 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Convert coordinates sent from the server ({ lat, lng } or { latitude, longitude }) to positions
+ * @static
+ * @param {Object[]} coordsCollection - Coordinates
+ * @returns {{latitude: number, longitude: number}[]} Lat and long coordinates
+ */
+function toPositions(coordsCollection) {
+  return (coordsCollection || []).map(coords => ({
+    latitude: parseFloat(coords.latitude !== undefined ? coords.latitude : coords.lat),
+    longitude: parseFloat(coords.longitude !== undefined ? coords.longitude : coords.lng),
+  }));
+}
+
+/**
+ * Is the position inside the polygon? Uses ray casting, with longitude as x and latitude as y
+ * @static
+ * @param {{latitude: number, longitude: number}} position - Lat and long coordinates
+ * @param {{latitude: number, longitude: number}[]} path - Corners of the polygon
+ * @returns {boolean} Is the position inside the polygon?
+ */
+function isPointInPolygon(position, path) {
+  let isInside = false;
+
+  for (let i = 0, j = path.length - 1; i < path.length; j = i, i += 1) {
+    const corner = path[i];
+    const previousCorner = path[j];
+
+    if ((corner.latitude > position.latitude) !== (previousCorner.latitude > position.latitude)
+      && position.longitude < (((previousCorner.longitude - corner.longitude) * (position.latitude - corner.latitude)) / (previousCorner.latitude - corner.latitude)) + corner.longitude) {
+      isInside = !isInside;
+    }
+  }
+
+  return isInside;
+}
+
+/**
+ * Get the distance from a point to the edge of a polygon. The distance is negative if the point is outside the polygon
+ * Coordinates are treated as if they were on a flat surface
+ * @private
+ * @param {{x: number, y: number}} point - Point
+ * @param {{x: number, y: number}[]} points - Corners of the polygon
+ * @returns {number} Signed distance
+ */
+function getDistanceToEdge(point, points) {
+  let isInside = false;
+  let minDistance = Infinity;
+
+  for (let i = 0, j = points.length - 1; i < points.length; j = i, i += 1) {
+    const start = points[j];
+    const end = points[i];
+    const diffX = end.x - start.x;
+    const diffY = end.y - start.y;
+    const lengthSquared = (diffX * diffX) + (diffY * diffY);
+    const projected = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, (((point.x - start.x) * diffX) + ((point.y - start.y) * diffY)) / lengthSquared));
+    const closestX = start.x + (projected * diffX);
+    const closestY = start.y + (projected * diffY);
+
+    if ((end.y > point.y) !== (start.y > point.y) && point.x < ((diffX * (point.y - end.y)) / diffY) + end.x) {
+      isInside = !isInside;
+    }
+
+    minDistance = Math.min(minDistance, Math.sqrt(((point.x - closestX) ** 2) + ((point.y - closestY) ** 2)));
+  }
+
+  return isInside ? minDistance : -minDistance;
+}
+
+/**
+ * Create a square cell used when searching for the pole of inaccessibility
+ * @private
+ * @param {number} x - Center x of the cell
+ * @param {number} y - Center y of the cell
+ * @param {number} halfSize - Half of the width of the cell
+ * @param {{x: number, y: number}[]} points - Corners of the polygon
+ * @returns {{x: number, y: number, halfSize: number, distance: number, maxDistance: number}} Cell. maxDistance is the highest possible distance to the edge inside the cell
+ */
+function createCell(x, y, halfSize, points) {
+  const distance = getDistanceToEdge({ x, y }, points);
+
+  return { x, y, halfSize, distance, maxDistance: distance + (halfSize * Math.SQRT2) };
+}
+
+/**
+ * Priority queue of cells, where the cell with the highest maxDistance is retrieved first
+ * @private
+ */
+class CellQueue {
+  constructor() {
+    this.cells = [];
+  }
+
+  /**
+   * @returns {number} Amount of cells in the queue
+   */
+  get length() {
+    return this.cells.length;
+  }
+
+  /**
+   * @param {Object} cell - Cell to add
+   */
+  push(cell) {
+    let index = this.cells.length;
+
+    this.cells.push(cell);
+
+    while (index > 0) {
+      const parentIndex = Math.floor((index - 1) / 2);
+
+      if (this.cells[parentIndex].maxDistance >= cell.maxDistance) {
+        break;
+      }
+
+      this.cells[index] = this.cells[parentIndex];
+      index = parentIndex;
+    }
+
+    this.cells[index] = cell;
+  }
+
+  /**
+   * Remove and return the cell with the highest maxDistance
+   * @returns {Object} Cell
+   */
+  pop() {
+    const topCell = this.cells[0];
+    const lastCell = this.cells.pop();
+    let index = 0;
+
+    if (this.cells.length === 0) {
+      return topCell;
+    }
+
+    while ((index * 2) + 1 < this.cells.length) {
+      const leftIndex = (index * 2) + 1;
+      const rightIndex = leftIndex + 1;
+      const childIndex = rightIndex < this.cells.length && this.cells[rightIndex].maxDistance > this.cells[leftIndex].maxDistance ? rightIndex : leftIndex;
+
+      if (this.cells[childIndex].maxDistance <= lastCell.maxDistance) {
+        break;
+      }
+
+      this.cells[index] = this.cells[childIndex];
+      index = childIndex;
+    }
+
+    this.cells[index] = lastCell;
+
+    return topCell;
+  }
+}
+
+/**
+ * Get the point inside the polygon that is furthest away from its edges (pole of inaccessibility)
+ * It is a better place for a label than the center of the bounds, which can be outside of concave polygons
+ * Longitude is scaled by latitude, to avoid the point being stretched
+ * @static
+ * @param {{latitude: number, longitude: number}[]} path - Corners of the polygon
+ * @param {number} [precisionRatio] - Search stops when a better point can't be closer than this ratio of the size of the polygon
+ * @returns {{latitude: number, longitude: number}} Lat and long coordinates
+ */
+function getPoleOfInaccessibility(path, precisionRatio = 0.01) {
+  const averageLatitude = path.reduce((total, position) => total + position.latitude, 0) / path.length;
+  const scale = Math.cos((averageLatitude * Math.PI) / 180) || 1;
+  const points = path.map(position => ({ x: position.longitude * scale, y: position.latitude }));
+  const minX = Math.min(...points.map(point => point.x));
+  const maxX = Math.max(...points.map(point => point.x));
+  const minY = Math.min(...points.map(point => point.y));
+  const maxY = Math.max(...points.map(point => point.y));
+  const cellSize = Math.min(maxX - minX, maxY - minY);
+  const precision = Math.max(maxX - minX, maxY - minY) * precisionRatio;
+  const cells = new CellQueue();
+  let bestCell = createCell((minX + maxX) / 2, (minY + maxY) / 2, 0, points);
+
+  if (cellSize === 0) {
+    return { latitude: bestCell.y, longitude: bestCell.x / scale };
+  }
+
+  for (let x = minX; x < maxX; x += cellSize) {
+    for (let y = minY; y < maxY; y += cellSize) {
+      cells.push(createCell(x + (cellSize / 2), y + (cellSize / 2), cellSize / 2, points));
+    }
+  }
+
+  while (cells.length > 0) {
+    const cell = cells.pop();
+
+    if (cell.distance > bestCell.distance) {
+      bestCell = cell;
+    }
+
+    if (cell.maxDistance - bestCell.distance > precision) {
+      const halfSize = cell.halfSize / 2;
+
+      cells.push(createCell(cell.x - halfSize, cell.y - halfSize, halfSize, points));
+      cells.push(createCell(cell.x + halfSize, cell.y - halfSize, halfSize, points));
+      cells.push(createCell(cell.x - halfSize, cell.y + halfSize, halfSize, points));
+      cells.push(createCell(cell.x + halfSize, cell.y + halfSize, halfSize, points));
+    }
+  }
+
+  return { latitude: bestCell.y, longitude: bestCell.x / scale };
+}
+
+/**
+ * Mean radius of the earth in meters
+ * @private
+ * @type {Number}
+ */
+const earthRadius = 6371008.8;
+/**
+ * @private
+ * @type {string[]}
+ */
+const compassDirections = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * @private
+ * @param {number} degrees - Degrees
+ * @returns {number} Radians
+ */
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Get the distance between two positions along the surface of the earth (haversine)
+ * @static
+ * @param {{latitude: number, longitude: number}} from - Lat and long coordinates of the start
+ * @param {{latitude: number, longitude: number}} to - Lat and long coordinates of the end
+ * @returns {number} Distance in meters
+ */
+function getDistance(from, to) {
+  const diffLatitude = toRadians(to.latitude - from.latitude);
+  const diffLongitude = toRadians(to.longitude - from.longitude);
+  const halfChord = (Math.sin(diffLatitude / 2) ** 2) + (Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * (Math.sin(diffLongitude / 2) ** 2));
+
+  return 2 * earthRadius * Math.atan2(Math.sqrt(halfChord), Math.sqrt(1 - halfChord));
+}
+
+/**
+ * Get the total distance along a path
+ * @static
+ * @param {{latitude: number, longitude: number}[]} path - Points of the path
+ * @returns {number} Distance in meters
+ */
+function getPathDistance(path) {
+  return path.reduce((total, position, index) => (index === 0 ? 0 : total + getDistance(path[index - 1], position)), 0);
+}
+
+/**
+ * Get the compass bearing from one position to another
+ * @static
+ * @param {{latitude: number, longitude: number}} from - Lat and long coordinates of the start
+ * @param {{latitude: number, longitude: number}} to - Lat and long coordinates of the end
+ * @returns {number} Bearing in degrees (0-359). 0 is north
+ */
+function getBearing(from, to) {
+  const fromLatitude = toRadians(from.latitude);
+  const toLatitude = toRadians(to.latitude);
+  const diffLongitude = toRadians(to.longitude - from.longitude);
+  const y = Math.sin(diffLongitude) * Math.cos(toLatitude);
+  const x = (Math.cos(fromLatitude) * Math.sin(toLatitude)) - (Math.sin(fromLatitude) * Math.cos(toLatitude) * Math.cos(diffLongitude));
+
+  return Math.round(((Math.atan2(y, x) * 180) / Math.PI) + 360) % 360;
+}
+
+/**
+ * Create text with distance and compass direction. Example: 1.2 km 045° NE
+ * @static
+ * @param {number} distance - Distance in meters
+ * @param {number} [bearing] - Bearing in degrees
+ * @returns {string} Text
+ */
+function createDistanceText(distance, bearing) {
+  const distanceText = distance < 1000 ? `${Math.round(distance)} m` : `${(distance / 1000).toFixed(1)} km`;
+
+  if (bearing === undefined) {
+    return distanceText;
+  }
+
+  return `${distanceText} ${`00${bearing}`.slice(-3)}° ${compassDirections[Math.round(bearing / 45) % 8]}`;
+}
+
+exports.toPositions = toPositions;
+exports.getDistance = getDistance;
+exports.getPathDistance = getPathDistance;
+exports.getBearing = getBearing;
+exports.createDistanceText = createDistanceText;
+exports.getPoleOfInaccessibility = getPoleOfInaccessibility;
+exports.isPointInPolygon = isPointInPolygon;
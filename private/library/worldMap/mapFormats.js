@@ -0,0 +1,599 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Conversion between map positions and GeoJSON/KML
+ * Map positions have the same shape as the ones sent from the server, with the optional markerType and style added
+ * Style uses the names of the map providers (strokeColor, strokeOpacity, strokeWeight, fillColor, fillOpacity)
+ */
+
+const kmlNamespace = 'http://www.opengis.net/kml/2.2';
+
+/**
+ * Add only the values that are set, to avoid overwriting default styles with undefined
+ * @private
+ * @param {Object} values - Style values
+ * @returns {Object|undefined} Style. undefined if no values are set
+ */
+function createStyle(values) {
+  const style = {};
+
+  for (const key of Object.keys(values)) {
+    if (values[key] !== undefined && values[key] !== null && !Number.isNaN(values[key])) {
+      style[key] = values[key];
+    }
+  }
+
+  return Object.keys(style).length > 0 ? style : undefined;
+}
+
+/**
+ * @private
+ * @param {string|string[]} [description] - Description. Lines are joined if it is an array
+ * @returns {string|undefined} Description
+ */
+function createDescription(description) {
+  return Array.isArray(description) ? description.join('\n') : description;
+}
+
+/**
+ * Create a map position
+ * @private
+ * @param {Object} params - Parameters
+ * @param {string} params.positionName - Name of the position
+ * @param {string} params.geometry - Type of geometry (point|line|polygon)
+ * @param {{latitude: number, longitude: number}[]} params.coordsCollection - Coordinates. Points only use the first one
+ * @param {string} [params.description] - Description
+ * @param {string} [params.markerType] - Type of marker. Only used by points
+ * @param {Object} [params.style] - Style. Only used by lines and polygons
+ * @returns {Object} Map position
+ */
+function createMapPosition({ positionName, geometry, coordsCollection, description, markerType, style }) {
+  const mapPosition = {
+    positionName,
+    geometry,
+    position: {},
+    description,
+  };
+
+  if (geometry === 'point') {
+    mapPosition.position.latitude = coordsCollection[0].latitude;
+    mapPosition.position.longitude = coordsCollection[0].longitude;
+    mapPosition.markerType = markerType || 'location';
+  } else {
+    mapPosition.position.coordsCollection = coordsCollection;
+    mapPosition.style = style;
+  }
+
+  return mapPosition;
+}
+
+/**
+ * Get a name for the position. Features without a name are named after their geometry and order
+ * Features with several parts get the number of the part added to the name
+ * @private
+ * @param {Object} params - Parameters
+ * @param {string} [params.name] - Name of the feature
+ * @param {string} params.geometry - Type of geometry (point|line|polygon)
+ * @param {number} params.featureIndex - Index of the feature in the file
+ * @param {number} params.partIndex - Index of the part in the feature
+ * @param {number} params.partCount - Amount of parts in the feature
+ * @returns {string} Name
+ */
+function createPositionName({ name, geometry, featureIndex, partIndex, partCount }) {
+  const positionName = name ? `${name}`.trim() : `${geometry} ${featureIndex + 1}`;
+
+  return partCount > 1 ? `${positionName} ${partIndex + 1}` : positionName;
+}
+
+/**
+ * Convert GeoJSON coordinates (longitude before latitude) to lat and long coordinates
+ * The last corner of polygons is removed, as the map closes them
+ * @private
+ * @param {Array[]} coordinates - GeoJSON coordinates
+ * @param {boolean} [isRing] - Is it a polygon ring?
+ * @returns {{latitude: number, longitude: number}[]} Lat and long coordinates
+ */
+function fromGeoJsonCoordinates(coordinates, isRing) {
+  const coordsCollection = coordinates.map(([longitude, latitude]) => ({ latitude: parseFloat(latitude), longitude: parseFloat(longitude) }));
+  const first = coordsCollection[0];
+  const last = coordsCollection[coordsCollection.length - 1];
+
+  if (isRing && coordsCollection.length > 1 && first.latitude === last.latitude && first.longitude === last.longitude) {
+    coordsCollection.pop();
+  }
+
+  return coordsCollection;
+}
+
+/**
+ * Convert lat and long coordinates to GeoJSON coordinates (longitude before latitude)
+ * @private
+ * @param {Object[]} coordsCollection - Lat and long coordinates
+ * @param {boolean} [isRing] - Should the ring be closed by repeating the first corner?
+ * @returns {Array[]} GeoJSON coordinates
+ */
+function toGeoJsonCoordinates(coordsCollection, isRing) {
+  const coordinates = coordsCollection.map(coords => [
+    parseFloat(coords.longitude !== undefined ? coords.longitude : coords.lng),
+    parseFloat(coords.latitude !== undefined ? coords.latitude : coords.lat),
+  ]);
+
+  if (isRing && coordinates.length > 0) {
+    coordinates.push(coordinates[0].slice());
+  }
+
+  return coordinates;
+}
+
+/**
+ * Split a GeoJSON geometry into parts that can be shown on the map
+ * Polygon holes are ignored
+ * @private
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {{geometry: string, coordsCollection: Object[]}[]} Parts
+ */
+function getGeoJsonParts(geometry) {
+  if (!geometry || !geometry.coordinates) {
+    return [];
+  }
+
+  switch (geometry.type) {
+    case 'Point': {
+      return [{ geometry: 'point', coordsCollection: fromGeoJsonCoordinates([geometry.coordinates]) }];
+    }
+    case 'MultiPoint': {
+      return geometry.coordinates.map(coordinates => ({ geometry: 'point', coordsCollection: fromGeoJsonCoordinates([coordinates]) }));
+    }
+    case 'LineString': {
+      return [{ geometry: 'line', coordsCollection: fromGeoJsonCoordinates(geometry.coordinates) }];
+    }
+    case 'MultiLineString': {
+      return geometry.coordinates.map(coordinates => ({ geometry: 'line', coordsCollection: fromGeoJsonCoordinates(coordinates) }));
+    }
+    case 'Polygon': {
+      return [{ geometry: 'polygon', coordsCollection: fromGeoJsonCoordinates(geometry.coordinates[0], true) }];
+    }
+    case 'MultiPolygon': {
+      return geometry.coordinates.map(coordinates => ({ geometry: 'polygon', coordsCollection: fromGeoJsonCoordinates(coordinates[0], true) }));
+    }
+    default: {
+      return [];
+    }
+  }
+}
+
+/**
+ * Convert a GeoJSON FeatureCollection or Feature to map positions
+ * The name (or title), description and markerType properties are used. Style is read from the simplestyle properties (stroke, stroke-opacity, stroke-width, fill, fill-opacity)
+ * Features without a supported geometry are skipped
+ * @static
+ * @param {Object} geoJson - GeoJSON
+ * @returns {Object[]} Map positions
+ */
+function fromGeoJson(geoJson) {
+  let features;
+
+  if (geoJson && geoJson.type === 'FeatureCollection') {
+    features = geoJson.features || [];
+  } else if (geoJson && geoJson.type === 'Feature') {
+    features = [geoJson];
+  } else {
+    throw new Error('Not a GeoJSON FeatureCollection or Feature');
+  }
+
+  const mapPositions = [];
+
+  features.forEach((feature, featureIndex) => {
+    const properties = feature.properties || {};
+    const parts = getGeoJsonParts(feature.geometry).filter(part => part.coordsCollection.length > 0);
+    const style = createStyle({
+      strokeColor: properties.stroke,
+      strokeOpacity: parseFloat(properties['stroke-opacity']),
+      strokeWeight: parseFloat(properties['stroke-width']),
+      fillColor: properties.fill,
+      fillOpacity: parseFloat(properties['fill-opacity']),
+    });
+
+    parts.forEach((part, partIndex) => {
+      mapPositions.push(createMapPosition({
+        positionName: createPositionName({ name: properties.name || properties.title, geometry: part.geometry, featureIndex, partIndex, partCount: parts.length }),
+        geometry: part.geometry,
+        coordsCollection: part.coordsCollection,
+        description: createDescription(properties.description),
+        markerType: properties.markerType,
+        style,
+      }));
+    });
+  });
+
+  return mapPositions;
+}
+
+/**
+ * Convert map positions to a GeoJSON FeatureCollection
+ * @static
+ * @param {Object[]} mapPositions - Map positions
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function toGeoJson(mapPositions) {
+  const features = mapPositions.map((mapPosition) => {
+    const style = mapPosition.style || {};
+    const properties = { name: mapPosition.positionName };
+    let geometry;
+
+    if (mapPosition.description) {
+      properties.description = createDescription(mapPosition.description);
+    }
+
+    if (mapPosition.geometry === 'point') {
+      properties.markerType = mapPosition.markerType || 'location';
+      geometry = { type: 'Point', coordinates: toGeoJsonCoordinates([mapPosition.position])[0] };
+    } else if (mapPosition.geometry === 'line') {
+      geometry = { type: 'LineString', coordinates: toGeoJsonCoordinates(mapPosition.position.coordsCollection) };
+    } else {
+      geometry = { type: 'Polygon', coordinates: [toGeoJsonCoordinates(mapPosition.position.coordsCollection, true)] };
+    }
+
+    Object.assign(properties, createStyle({
+      stroke: style.strokeColor,
+      'stroke-opacity': style.strokeOpacity,
+      'stroke-width': style.strokeWeight,
+      fill: style.fillColor,
+      'fill-opacity': style.fillOpacity,
+    }));
+
+    return { type: 'Feature', properties, geometry };
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Convert a KML color (aabbggrr) to a CSS color and an opacity
+ * @private
+ * @param {string} [kmlColor] - KML color
+ * @returns {{color: string, opacity: number}} CSS color and opacity. Empty if the KML color is invalid
+ */
+function fromKmlColor(kmlColor) {
+  const hex = (kmlColor || '').trim();
+
+  if (!/^[0-9a-fA-F]{8}$/.test(hex)) {
+    return {};
+  }
+
+  return {
+    color: `#${hex.slice(6, 8)}${hex.slice(4, 6)}${hex.slice(2, 4)}`,
+    opacity: Math.round((parseInt(hex.slice(0, 2), 16) / 255) * 100) / 100,
+  };
+}
+
+/**
+ * Convert a CSS color (#rrggbb or #rgb) and an opacity to a KML color (aabbggrr)
+ * @private
+ * @param {string} color - CSS color
+ * @param {number} [opacity] - Opacity (0-1). Defaults to 1
+ * @returns {string} KML color
+ */
+function toKmlColor(color, opacity) {
+  let hex = (color || '#000000').replace('#', '');
+
+  if (hex.length === 3) {
+    hex = hex.split('').map(char => char + char).join('');
+  }
+
+  const alpha = Math.round((opacity !== undefined ? opacity : 1) * 255).toString(16);
+
+  return `${alpha.length === 1 ? `0${alpha}` : alpha}${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toLowerCase();
+}
+
+/**
+ * Get the text content of the first child element with the tag name
+ * @private
+ * @param {Element} element - Parent element
+ * @param {string} tagName - Tag name of the child
+ * @returns {string|undefined} Text content. undefined if there is no child with the tag name
+ */
+function getChildText(element, tagName) {
+  const child = element.getElementsByTagName(tagName)[0];
+
+  return child ? child.textContent.trim() : undefined;
+}
+
+/**
+ * Convert a KML coordinates string (longitude,latitude[,altitude] separated by whitespace) to lat and long coordinates
+ * @private
+ * @param {string} [text] - KML coordinates
+ * @param {boolean} [isRing] - Is it a polygon ring?
+ * @returns {{latitude: number, longitude: number}[]} Lat and long coordinates
+ */
+function fromKmlCoordinates(text, isRing) {
+  return fromGeoJsonCoordinates((text || '').trim().split(/\s+/).filter(tuple => tuple !== '').map(tuple => tuple.split(',')), isRing);
+}
+
+/**
+ * Convert lat and long coordinates to a KML coordinates string
+ * @private
+ * @param {Object[]} coordsCollection - Lat and long coordinates
+ * @param {boolean} [isRing] - Should the ring be closed by repeating the first corner?
+ * @returns {string} KML coordinates
+ */
+function toKmlCoordinates(coordsCollection, isRing) {
+  return toGeoJsonCoordinates(coordsCollection, isRing).map(coordinates => coordinates.join(',')).join(' ');
+}
+
+/**
+ * Read the line and polygon style from a KML Style element
+ * @private
+ * @param {Element} [styleElement] - Style element
+ * @returns {Object|undefined} Style
+ */
+function readKmlStyle(styleElement) {
+  if (!styleElement) {
+    return undefined;
+  }
+
+  const lineStyle = styleElement.getElementsByTagName('LineStyle')[0];
+  const polyStyle = styleElement.getElementsByTagName('PolyStyle')[0];
+  const stroke = lineStyle ? fromKmlColor(getChildText(lineStyle, 'color')) : {};
+  const fill = polyStyle ? fromKmlColor(getChildText(polyStyle, 'color')) : {};
+  const style = {
+    strokeColor: stroke.color,
+    strokeOpacity: stroke.opacity,
+    strokeWeight: lineStyle ? parseFloat(getChildText(lineStyle, 'width')) : undefined,
+    fillColor: fill.color,
+    fillOpacity: fill.opacity,
+  };
+
+  if (polyStyle && getChildText(polyStyle, 'fill') === '0') {
+    style.fillOpacity = 0;
+  }
+
+  if (polyStyle && getChildText(polyStyle, 'outline') === '0') {
+    style.strokeOpacity = 0;
+  }
+
+  return createStyle(style);
+}
+
+/**
+ * Find the style of a placemark. Inline styles are used before shared ones. Style maps use their normal style
+ * @private
+ * @param {Element} placemark - Placemark element
+ * @param {Map} sharedStyles - Style and StyleMap elements, with their id as key
+ * @returns {Object|undefined} Style
+ */
+function findKmlStyle(placemark, sharedStyles) {
+  const inlineStyle = Array.from(placemark.children).find(child => child.localName === 'Style');
+
+  if (inlineStyle) {
+    return readKmlStyle(inlineStyle);
+  }
+
+  let styleId = (getChildText(placemark, 'styleUrl') || '').replace(/^#/, '');
+  let styleElement = sharedStyles.get(styleId);
+
+  if (styleElement && styleElement.localName === 'StyleMap') {
+    const normalPair = Array.from(styleElement.getElementsByTagName('Pair')).find(pair => getChildText(pair, 'key') === 'normal');
+
+    styleId = normalPair ? (getChildText(normalPair, 'styleUrl') || '').replace(/^#/, '') : '';
+    styleElement = sharedStyles.get(styleId);
+  }
+
+  return readKmlStyle(styleElement);
+}
+
+/**
+ * Get the value of a Data element in the ExtendedData of a placemark
+ * @private
+ * @param {Element} placemark - Placemark element
+ * @param {string} name - Name of the data
+ * @returns {string|undefined} Value
+ */
+function getKmlData(placemark, name) {
+  const dataElement = Array.from(placemark.getElementsByTagName('Data')).find(data => data.getAttribute('name') === name);
+
+  return dataElement ? getChildText(dataElement, 'value') : undefined;
+}
+
+/**
+ * Split the geometry of a placemark into parts that can be shown on the map
+ * Polygon holes are ignored
+ * @private
+ * @param {Element} placemark - Placemark element
+ * @returns {{geometry: string, coordsCollection: Object[]}[]} Parts
+ */
+function getKmlParts(placemark) {
+  const parts = [];
+
+  for (const point of Array.from(placemark.getElementsByTagName('Point'))) {
+    parts.push({ geometry: 'point', coordsCollection: fromKmlCoordinates(getChildText(point, 'coordinates')) });
+  }
+
+  for (const lineString of Array.from(placemark.getElementsByTagName('LineString'))) {
+    parts.push({ geometry: 'line', coordsCollection: fromKmlCoordinates(getChildText(lineString, 'coordinates')) });
+  }
+
+  for (const polygon of Array.from(placemark.getElementsByTagName('Polygon'))) {
+    const outerBoundary = polygon.getElementsByTagName('outerBoundaryIs')[0];
+
+    parts.push({ geometry: 'polygon', coordsCollection: fromKmlCoordinates(outerBoundary ? getChildText(outerBoundary, 'coordinates') : undefined, true) });
+  }
+
+  return parts.filter(part => part.coordsCollection.length > 0);
+}
+
+/**
+ * Convert KML to map positions
+ * The name, description and style of placemarks are used. markerType is read from ExtendedData
+ * Placemarks without a supported geometry are skipped
+ * @static
+ * @param {string} kmlText - KML
+ * @returns {Object[]} Map positions
+ */
+function fromKml(kmlText) {
+  const kmlDocument = new DOMParser().parseFromString(kmlText, 'application/xml');
+
+  if (kmlDocument.getElementsByTagName('parsererror').length > 0 || kmlDocument.getElementsByTagName('kml').length === 0) {
+    throw new Error('Not a valid KML file');
+  }
+
+  const sharedStyles = new Map();
+  const mapPositions = [];
+
+  for (const styleElement of Array.from(kmlDocument.getElementsByTagName('Style')).concat(Array.from(kmlDocument.getElementsByTagName('StyleMap')))) {
+    if (styleElement.getAttribute('id')) {
+      sharedStyles.set(styleElement.getAttribute('id'), styleElement);
+    }
+  }
+
+  Array.from(kmlDocument.getElementsByTagName('Placemark')).forEach((placemark, featureIndex) => {
+    const parts = getKmlParts(placemark);
+    const style = findKmlStyle(placemark, sharedStyles);
+    const nameElement = Array.from(placemark.children).find(child => child.localName === 'name');
+    const descriptionElement = Array.from(placemark.children).find(child => child.localName === 'description');
+
+    parts.forEach((part, partIndex) => {
+      mapPositions.push(createMapPosition({
+        positionName: createPositionName({ name: nameElement ? nameElement.textContent : undefined, geometry: part.geometry, featureIndex, partIndex, partCount: parts.length }),
+        geometry: part.geometry,
+        coordsCollection: part.coordsCollection,
+        description: descriptionElement ? descriptionElement.textContent.trim() : undefined,
+        markerType: getKmlData(placemark, 'markerType'),
+        style,
+      }));
+    });
+  });
+
+  return mapPositions;
+}
+
+/**
+ * Create a KML element with optional text content and children
+ * @private
+ * @param {Document} kmlDocument - KML document
+ * @param {string} tagName - Tag name of the element
+ * @param {string|Element[]} [content] - Text content or child elements
+ * @returns {Element} Element
+ */
+function createKmlElement(kmlDocument, tagName, content) {
+  const element = kmlDocument.createElementNS(kmlNamespace, tagName);
+
+  if (Array.isArray(content)) {
+    content.forEach(child => element.appendChild(child));
+  } else if (content !== undefined) {
+    element.appendChild(kmlDocument.createTextNode(`${content}`));
+  }
+
+  return element;
+}
+
+/**
+ * Convert map positions to KML
+ * @static
+ * @param {Object[]} mapPositions - Map positions
+ * @returns {string} KML
+ */
+function toKml(mapPositions) {
+  const kmlDocument = document.implementation.createDocument(kmlNamespace, 'kml', null);
+  const documentElement = createKmlElement(kmlDocument, 'Document');
+
+  for (const mapPosition of mapPositions) {
+    const placemarkContent = [createKmlElement(kmlDocument, 'name', mapPosition.positionName)];
+
+    if (mapPosition.description) {
+      placemarkContent.push(createKmlElement(kmlDocument, 'description', createDescription(mapPosition.description)));
+    }
+
+    if (mapPosition.style) {
+      const style = mapPosition.style;
+      const styleContent = [];
+
+      if (style.strokeColor || style.strokeOpacity !== undefined || style.strokeWeight !== undefined) {
+        styleContent.push(createKmlElement(kmlDocument, 'LineStyle', [
+          createKmlElement(kmlDocument, 'color', toKmlColor(style.strokeColor, style.strokeOpacity)),
+          createKmlElement(kmlDocument, 'width', style.strokeWeight !== undefined ? style.strokeWeight : 1),
+        ]));
+      }
+
+      if (style.fillColor || style.fillOpacity !== undefined) {
+        styleContent.push(createKmlElement(kmlDocument, 'PolyStyle', [
+          createKmlElement(kmlDocument, 'color', toKmlColor(style.fillColor, style.fillOpacity)),
+        ]));
+      }
+
+      placemarkContent.push(createKmlElement(kmlDocument, 'Style', styleContent));
+    }
+
+    if (mapPosition.geometry === 'point') {
+      const dataElement = createKmlElement(kmlDocument, 'Data', [createKmlElement(kmlDocument, 'value', mapPosition.markerType || 'location')]);
+
+      dataElement.setAttribute('name', 'markerType');
+      placemarkContent.push(createKmlElement(kmlDocument, 'ExtendedData', [dataElement]));
+      placemarkContent.push(createKmlElement(kmlDocument, 'Point', [
+        createKmlElement(kmlDocument, 'coordinates', toKmlCoordinates([mapPosition.position])),
+      ]));
+    } else if (mapPosition.geometry === 'line') {
+      placemarkContent.push(createKmlElement(kmlDocument, 'LineString', [
+        createKmlElement(kmlDocument, 'coordinates', toKmlCoordinates(mapPosition.position.coordsCollection)),
+      ]));
+    } else {
+      placemarkContent.push(createKmlElement(kmlDocument, 'Polygon', [
+        createKmlElement(kmlDocument, 'outerBoundaryIs', [
+          createKmlElement(kmlDocument, 'LinearRing', [
+            createKmlElement(kmlDocument, 'coordinates', toKmlCoordinates(mapPosition.position.coordsCollection, true)),
+          ]),
+        ]),
+      ]));
+    }
+
+    documentElement.appendChild(createKmlElement(kmlDocument, 'Placemark', placemarkContent));
+  }
+
+  kmlDocument.documentElement.appendChild(documentElement);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(kmlDocument)}`;
+}
+
+/**
+ * Convert the content of a GeoJSON or KML file to map positions. The format is detected from the content
+ * @static
+ * @param {string} text - Content of the file
+ * @returns {Object[]} Map positions
+ */
+function parseMapFile(text) {
+  const trimmedText = (text || '').trim();
+
+  if (trimmedText.charAt(0) === '<') {
+    return fromKml(trimmedText);
+  }
+
+  let geoJson;
+
+  try {
+    geoJson = JSON.parse(trimmedText);
+  } catch (err) {
+    throw new Error('Not a valid GeoJSON or KML file');
+  }
+
+  return fromGeoJson(geoJson);
+}
+
+exports.fromGeoJson = fromGeoJson;
+exports.toGeoJson = toGeoJson;
+exports.fromKml = fromKml;
+exports.toKml = toKml;
+exports.parseMapFile = parseMapFile;
@@ -0,0 +1,451 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Convert position to Google maps coordinates
+ * @private
+ * @param {{latitude: number, longitude: number}} position - Lat and long coordinates
+ * @returns {google.maps.LatLng} Google maps coordinates
+ */
+function toLatLng(position) {
+  return new google.maps.LatLng(position.latitude, position.longitude);
+}
+
+/**
+ * Convert Google maps coordinates to position
+ * @private
+ * @param {google.maps.LatLng} latLng - Google maps coordinates
+ * @returns {{latitude: number, longitude: number}} Lat and long coordinates
+ */
+function toPosition(latLng) {
+  return { latitude: latLng.lat(), longitude: latLng.lng() };
+}
+
+/**
+ * Map provider that uses Google maps, MapLabel and MarkerClusterer. They have to be loaded before the provider is created
+ * All providers have the same functions. Positions are sent and retrieved as { latitude, longitude }
+ */
+class GoogleProvider {
+  /**
+   * @returns {boolean} Have the external Google maps files been loaded?
+   */
+  static isAvailable() {
+    return typeof google !== 'undefined' && typeof MarkerClusterer !== 'undefined' && typeof MapLabel !== 'undefined';
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {Object} params.htmlElement - Element that the map will be drawn in
+   * @param {{latitude: number, longitude: number}} params.centerCoordinates - Lat and long coordinates of the map center
+   * @param {number} [params.zoomLevel] - Default zoom level
+   * @param {number} [params.minZoom] - Lowest zoom level
+   * @param {number} [params.maxZoom] - Highest zoom level
+   * @param {string} [params.backgroundColor] - Background color of the map
+   */
+  constructor({ htmlElement, centerCoordinates, zoomLevel, minZoom, maxZoom, backgroundColor }) {
+    if (!GoogleProvider.isAvailable()) {
+      throw new Error('Google Maps, MapLabel and MarkerClusterer have to be loaded before the map is created');
+    }
+
+    this.map = new google.maps.Map(htmlElement, {
+      center: {
+        lat: centerCoordinates.latitude || 0,
+        lng: centerCoordinates.longitude || 0,
+      },
+      zoom: zoomLevel || 0,
+      disableDefaultUI: true,
+      fullscreenControl: false,
+      keyboardShortcuts: false,
+      mapTypeControl: false,
+      noClear: true,
+      zoomControl: false,
+      panControl: false,
+      overviewMapControl: false,
+      rotateControl: false,
+      scaleControl: false,
+      streetViewControl: false,
+      backgroundColor: backgroundColor || '#001e15',
+      minZoom: minZoom || 3,
+      maxZoom: maxZoom || 19,
+      styles: [
+        {
+          featureType: 'all',
+          elementType: 'all',
+          stylers: [
+            { color: '#001e15' },
+          ],
+        }, {
+          featureType: 'road',
+          elementType: 'geometry',
+          stylers: [
+            { color: '#00cca3' },
+          ],
+        }, {
+          featureType: 'road',
+          elementType: 'labels',
+          stylers: [
+            { visibility: 'off' },
+          ],
+        }, {
+          featureType: 'poi',
+          elementType: 'all',
+          stylers: [
+            { visibility: 'off' },
+          ],
+        }, {
+          featureType: 'administrative',
+          elementType: 'all',
+          stylers: [
+            { visibility: 'off' },
+          ],
+        }, {
+          featureType: 'water',
+          elementType: 'all',
+          stylers: [
+            { color: '#00cca3' },
+          ],
+        },
+      ],
+    });
+    this.markerClusterer = new MarkerClusterer(this.map, [], {
+      gridSize: 24,
+      maxZoom: 17,
+      zoomOnClick: false,
+      singleSize: true,
+      averageCenter: true,
+      styles: [{
+        width: 22,
+        height: 22,
+        iconAnchor: [11, 11],
+        textSize: 11,
+        url: '/images/m.png',
+      }],
+    });
+
+    /**
+     * Overlay is used to catch mouse clicks and easily retrieve x and y instead of lot and lang coordinates
+     */
+    this.overlay = new google.maps.OverlayView();
+    this.overlay.draw = () => {};
+    this.overlay.setMap(this.map);
+    this.objects = new Map();
+    this.clusteredMarkers = new Set();
+    this.lastObjectId = 0;
+  }
+
+  /**
+   * Listen to map events. Supported events are click, dragstart, zoom_changed, idle and clusterclick
+   * Listeners for clusterclick are called with the positions of the markers in the cluster. Listeners for click are called with the clicked position
+   * @param {string} eventName - Name of the event
+   * @param {Function} listener - Listener
+   */
+  addListener(eventName, listener) {
+    if (eventName === 'clusterclick') {
+      google.maps.event.addListener(this.markerClusterer, eventName, cluster => listener(cluster.getMarkers().map(marker => toPosition(marker.getPosition()))));
+    } else if (eventName === 'click') {
+      google.maps.event.addListener(this.map, eventName, event => listener(toPosition(event.latLng)));
+    } else {
+      google.maps.event.addListener(this.map, eventName, () => listener());
+    }
+  }
+
+  /**
+   * Store map object and return its id. The id is used in all calls that change the object
+   * @param {Object} mapObject - Google maps object
+   * @returns {number} Id of the object
+   */
+  addObject(mapObject) {
+    this.lastObjectId += 1;
+    this.objects.set(this.lastObjectId, mapObject);
+
+    return this.lastObjectId;
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {{latitude: number, longitude: number}} params.position - Lat and long coordinates of the marker
+   * @param {string} params.iconUrl - Path to the icon image
+   * @param {number} params.opacity - Opacity of the marker
+   * @param {Function} [params.onClick] - Called when the marker is clicked
+   * @returns {number} Id of the marker
+   */
+  createMarker({ position, iconUrl, opacity, onClick }) {
+    const marker = new google.maps.Marker({
+      position: toLatLng(position),
+      opacity,
+      icon: {
+        url: iconUrl,
+        size: new google.maps.Size(16, 16),
+        origin: new google.maps.Point(0, 0),
+        anchor: new google.maps.Point(8, 8),
+      },
+      map: this.map,
+    });
+
+    if (onClick) {
+      google.maps.event.addListener(marker, 'click', onClick);
+    }
+
+    return this.addObject(marker);
+  }
+
+  setMarkerPosition(markerId, position) {
+    this.objects.get(markerId).setPosition(toLatLng(position));
+  }
+
+  getMarkerPosition(markerId) {
+    return toPosition(this.objects.get(markerId).getPosition());
+  }
+
+  setMarkerOpacity(markerId, opacity) {
+    this.objects.get(markerId).setOpacity(opacity);
+  }
+
+  clusterMarker(markerId) {
+    this.clusteredMarkers.add(markerId);
+    this.markerClusterer.addMarker(this.objects.get(markerId));
+  }
+
+  resetClusters() {
+    this.markerClusterer.resetViewport();
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {{latitude: number, longitude: number}[]} params.path - Points of the line
+   * @param {Object} params.style - Stroke color, opacity and weight
+   * @returns {number} Id of the line
+   */
+  createLine({ path, style }) {
+    return this.addObject(new google.maps.Polyline({
+      path: path.map(toLatLng),
+      strokeColor: style.strokeColor,
+      strokeOpacity: style.strokeOpacity,
+      strokeWeight: style.strokeWeight,
+      clickable: false,
+      map: this.map,
+    }));
+  }
+
+  setLinePath(lineId, path) {
+    this.objects.get(lineId).setPath(path.map(toLatLng));
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {{latitude: number, longitude: number}[]} params.path - Corners of the polygon
+   * @param {Object} params.style - Stroke and fill color, opacity and weight
+   * @returns {number} Id of the polygon
+   */
+  createPolygon({ path, style }) {
+    return this.addObject(new google.maps.Polygon({
+      paths: path.map(toLatLng),
+      strokeColor: style.strokeColor,
+      strokeOpacity: style.strokeOpacity,
+      strokeWeight: style.strokeWeight,
+      fillColor: style.fillColor,
+      fillOpacity: style.fillOpacity,
+      clickable: false,
+      map: this.map,
+    }));
+  }
+
+  setPolygonPath(polygonId, path) {
+    this.objects.get(polygonId).setPaths(path.map(toLatLng));
+  }
+
+  /**
+   * Change the style of a line or polygon. Fill is ignored by lines
+   * @param {number} shapeId - Id of the line or polygon
+   * @param {Object} style - Stroke and fill color, opacity and weight
+   */
+  setShapeStyle(shapeId, style) {
+    this.objects.get(shapeId).setOptions({
+      strokeColor: style.strokeColor,
+      strokeOpacity: style.strokeOpacity,
+      strokeWeight: style.strokeWeight,
+      fillColor: style.fillColor,
+      fillOpacity: style.fillOpacity,
+    });
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {{latitude: number, longitude: number}} params.position - Lat and long coordinates of the center
+   * @param {number} params.radius - Radius (meters)
+   * @param {Object} params.style - Stroke and fill color, opacity and weight
+   * @returns {number} Id of the circle
+   */
+  createCircle({ position, radius, style }) {
+    return this.addObject(new google.maps.Circle({
+      center: toLatLng(position),
+      radius,
+      strokeColor: style.strokeColor,
+      strokeOpacity: style.strokeOpacity,
+      strokeWeight: style.strokeWeight,
+      fillColor: style.fillColor,
+      fillOpacity: style.fillOpacity,
+      clickable: false,
+      map: this.map,
+    }));
+  }
+
+  setCirclePosition(circleId, position, radius) {
+    const circle = this.objects.get(circleId);
+
+    circle.setCenter(toLatLng(position));
+    circle.setRadius(radius);
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {{latitude: number, longitude: number}} params.position - Lat and long coordinates of the label
+   * @param {string} params.text - Text of the label
+   * @param {string} params.align - Text alignment (left|right|center)
+   * @param {string} params.fontFamily - Font family
+   * @param {string} params.fontColor - Font color
+   * @param {string} params.strokeColor - Stroke color (around the text)
+   * @param {number} params.fontSize - Font size
+   * @returns {number} Id of the label
+   */
+  createLabel({ position, text, align, fontFamily, fontColor, strokeColor, fontSize }) {
+    return this.addObject(new MapLabel({
+      text,
+      position: toLatLng(position),
+      align,
+      fontFamily,
+      fontColor,
+      strokeColor,
+      fontSize,
+      map: this.map,
+    }));
+  }
+
+  setLabelPosition(labelId, position) {
+    this.objects.get(labelId).set('position', toLatLng(position));
+  }
+
+  setLabelText(labelId, text) {
+    this.objects.get(labelId).set('text', text);
+  }
+
+  /**
+   * Show or hide a marker, line, polygon, circle or label
+   * @param {number} objectId - Id of the object
+   * @param {boolean} isVisible - Should the object be shown?
+   */
+  setVisible(objectId, isVisible) {
+    const mapObject = this.objects.get(objectId);
+
+    // The clusterer would show the marker again on redraw, if it was still in it
+    if (this.clusteredMarkers.has(objectId)) {
+      if (isVisible) {
+        this.markerClusterer.addMarker(mapObject);
+      } else {
+        this.markerClusterer.removeMarker(mapObject);
+      }
+    } else {
+      mapObject.setMap(isVisible ? this.map : null);
+    }
+  }
+
+  /**
+   * @param {number} objectId - Id of a marker, line, polygon, circle or label
+   * @returns {boolean} Is the object shown?
+   */
+  isVisible(objectId) {
+    return Boolean(this.objects.get(objectId).getMap());
+  }
+
+  /**
+   * Remove a marker, line, polygon, circle or label from the map
+   * @param {number} objectId - Id of the object
+   */
+  removeObject(objectId) {
+    const mapObject = this.objects.get(objectId);
+
+    if (this.clusteredMarkers.has(objectId)) {
+      this.markerClusterer.removeMarker(mapObject);
+      this.clusteredMarkers.delete(objectId);
+    }
+
+    mapObject.setMap(null);
+    this.objects.delete(objectId);
+  }
+
+  /**
+   * Zoom and center the map to show all positions
+   * @param {{latitude: number, longitude: number}[]} positions - Lat and long coordinates
+   */
+  fitBounds(positions) {
+    const bounds = new google.maps.LatLngBounds();
+
+    for (const position of positions) {
+      bounds.extend(toLatLng(position));
+    }
+
+    this.map.fitBounds(bounds);
+  }
+
+  setCenter(position) {
+    this.map.setCenter(toLatLng(position));
+  }
+
+  getCenter() {
+    return toPosition(this.map.getCenter());
+  }
+
+  setZoom(zoomLevel) {
+    this.map.setZoom(zoomLevel);
+  }
+
+  getZoom() {
+    return this.map.getZoom();
+  }
+
+  /**
+   * Redraw the map after the size of its element has changed
+   */
+  resize() {
+    google.maps.event.trigger(this.map, 'resize');
+  }
+
+  /**
+   * @param {{latitude: number, longitude: number}} position - Lat and long coordinates
+   * @returns {{x: number, y: number}|null} Pixel coordinates in the map element. null if the map hasn't been drawn yet
+   */
+  toContainerPixel(position) {
+    const projection = this.overlay.getProjection();
+
+    if (!projection) {
+      return null;
+    }
+
+    const point = projection.fromLatLngToContainerPixel(toLatLng(position));
+
+    return { x: point.x, y: point.y };
+  }
+
+  /**
+   * @param {{x: number, y: number}} point - Pixel coordinates in the map element
+   * @returns {{latitude: number, longitude: number}} Lat and long coordinates
+   */
+  fromContainerPixel(point) {
+    return toPosition(this.overlay.getProjection().fromContainerPixelToLatLng(new google.maps.Point(point.x, point.y)));
+  }
+}
+
+module.exports = GoogleProvider;
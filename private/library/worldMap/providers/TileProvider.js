@@ -0,0 +1,674 @@
+/*
+ Copyright 2016 Aleksandar Jankovic
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+ http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+ */
+
+/**
+ * Width and height of a tile in pixels
+ * @private
+ * @type {Number}
+ */
+const tileSize = 256;
+/**
+ * @private
+ * @type {string}
+ */
+const svgNamespace = 'http://www.w3.org/2000/svg';
+/**
+ * Circumference of the earth at the equator in meters
+ * @private
+ * @type {Number}
+ */
+const earthCircumference = 40075016.686;
+
+/**
+ * Convert lat and long coordinates to pixel coordinates in the whole world at the zoom level (Web Mercator)
+ * @private
+ * @param {{latitude: number, longitude: number}} position - Lat and long coordinates
+ * @param {number} zoomLevel - Zoom level
+ * @returns {{x: number, y: number}} Pixel coordinates
+ */
+function project({ latitude, longitude }, zoomLevel) {
+  const scale = tileSize * (2 ** zoomLevel);
+  const sinLatitude = Math.min(Math.max(Math.sin((latitude * Math.PI) / 180), -0.9999), 0.9999);
+
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y: (0.5 - (Math.log((1 + sinLatitude) / (1 - sinLatitude)) / (4 * Math.PI))) * scale,
+  };
+}
+
+/**
+ * Convert pixel coordinates in the whole world at the zoom level to lat and long coordinates
+ * @private
+ * @param {{x: number, y: number}} point - Pixel coordinates
+ * @param {number} zoomLevel - Zoom level
+ * @returns {{latitude: number, longitude: number}} Lat and long coordinates
+ */
+function unproject({ x, y }, zoomLevel) {
+  const scale = tileSize * (2 ** zoomLevel);
+  const mercatorY = Math.PI - ((2 * Math.PI * y) / scale);
+
+  return {
+    latitude: (180 / Math.PI) * Math.atan(0.5 * (Math.exp(mercatorY) - Math.exp(-mercatorY))),
+    longitude: ((x / scale) * 360) - 180,
+  };
+}
+
+/**
+ * Create element that covers the whole map
+ * @private
+ * @param {string} [tagName] - Tag name. Defaults to DIV
+ * @returns {HTMLElement} Layer element
+ */
+function createLayer(tagName) {
+  const layer = tagName === 'svg' ? document.createElementNS(svgNamespace, 'svg') : document.createElement('DIV');
+
+  layer.classList.add('mapLayer');
+
+  return layer;
+}
+
+/**
+ * Map provider that draws raster tiles served from the app (private/tiles), so that the map works without internet access
+ * Lines and polygons are drawn with SVG. Markers and labels are HTML elements. Markers are not clustered
+ * All providers have the same functions. Positions are sent and retrieved as { latitude, longitude }
+ */
+class TileProvider {
+  /**
+   * @param {Object} params - Parameters
+   * @param {Object} params.htmlElement - Element that the map will be drawn in
+   * @param {{latitude: number, longitude: number}} params.centerCoordinates - Lat and long coordinates of the map center
+   * @param {number} [params.zoomLevel] - Default zoom level
+   * @param {number} [params.minZoom] - Lowest zoom level
+   * @param {number} [params.maxZoom] - Highest zoom level
+   * @param {string} [params.backgroundColor] - Background color of the map. Shown where tiles are missing
+   * @param {string} [params.tileUrl] - Path to the tiles. Defaults to the tiles served from the app, /tiles/{z}/{x}/{y}.png. {z}, {x} and {y} will be replaced with the zoom level and tile coordinates
+   */
+  constructor({ htmlElement, centerCoordinates, zoomLevel, minZoom, maxZoom, backgroundColor, tileUrl }) {
+    this.element = htmlElement;
+    this.tileUrl = tileUrl || '/tiles/{z}/{x}/{y}.png';
+    this.minZoom = minZoom || 3;
+    this.maxZoom = maxZoom || 19;
+    this.zoom = Math.min(Math.max(zoomLevel || 0, this.minZoom), this.maxZoom);
+    this.center = {
+      latitude: centerCoordinates.latitude || 0,
+      longitude: centerCoordinates.longitude || 0,
+    };
+    this.origin = { x: 0, y: 0 };
+    this.tiles = new Map();
+    this.objects = new Map();
+    this.lastObjectId = 0;
+    this.listeners = new Map();
+    this.tileLayer = createLayer();
+    this.shapeLayer = createLayer('svg');
+    this.markerLayer = createLayer();
+
+    this.element.classList.add('tileMap');
+    this.element.style.backgroundColor = backgroundColor || '#001e15';
+    this.element.appendChild(this.tileLayer);
+    this.element.appendChild(this.shapeLayer);
+    this.element.appendChild(this.markerLayer);
+
+    this.attachInteractions();
+    this.update();
+  }
+
+  /**
+   * @returns {boolean} The tile provider doesn't depend on external files and is always available
+   */
+  static isAvailable() {
+    return true;
+  }
+
+  /**
+   * Listen to map events. Supported events are click, dragstart, zoom_changed, idle and clusterclick
+   * Listeners for click are called with the clicked position
+   * Markers are not clustered by this provider, which means that clusterclick will never be triggered
+   * @param {string} eventName - Name of the event
+   * @param {Function} listener - Listener
+   */
+  addListener(eventName, listener) {
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, []);
+    }
+
+    this.listeners.get(eventName).push(listener);
+  }
+
+  /**
+   * Call all listeners for the event
+   * @param {string} eventName - Name of the event
+   * @param {Object} [data] - Data sent to the listeners
+   */
+  emit(eventName, data) {
+    for (const listener of this.listeners.get(eventName) || []) {
+      listener(data);
+    }
+  }
+
+  /**
+   * Pan on mouse and touch drag, zoom on mouse wheel and two-finger pinch. Click is triggered if the pointer is released without moving
+   */
+  attachInteractions() {
+    let dragStart = null;
+    let hasDragged = false;
+    let pinchStart = null;
+    let lastTouchTime = 0;
+    // Browsers send emulated mouse events after a tap, which would otherwise trigger a second click
+    const isEmulatedMouse = () => (new Date()).getTime() - lastTouchTime < 1000;
+    const getTouchDistance = ([first, second]) => Math.sqrt(((first.clientX - second.clientX) ** 2) + ((first.clientY - second.clientY) ** 2));
+    const startDrag = (x, y) => {
+      dragStart = { x, y, centerPoint: project(this.center, this.zoom) };
+      hasDragged = false;
+    };
+    const drag = (x, y) => {
+      if (!dragStart) {
+        return;
+      }
+
+      const diffX = x - dragStart.x;
+      const diffY = y - dragStart.y;
+
+      if (!hasDragged && Math.abs(diffX) + Math.abs(diffY) < 4) {
+        return;
+      }
+
+      if (!hasDragged) {
+        hasDragged = true;
+        this.emit('dragstart');
+      }
+
+      this.center = unproject({ x: dragStart.centerPoint.x - diffX, y: dragStart.centerPoint.y - diffY }, this.zoom);
+      this.render();
+    };
+    const endDrag = () => {
+      if (!dragStart) {
+        return;
+      }
+
+      const bounds = this.element.getBoundingClientRect();
+      const clickPoint = { x: dragStart.x - bounds.left, y: dragStart.y - bounds.top };
+      dragStart = null;
+
+      if (hasDragged) {
+        this.emit('idle');
+      } else {
+        this.emit('click', this.fromContainerPixel(clickPoint));
+      }
+    };
+
+    this.element.addEventListener('mousedown', (event) => {
+      if (!isEmulatedMouse()) {
+        startDrag(event.clientX, event.clientY);
+      }
+    });
+    window.addEventListener('mousemove', event => drag(event.clientX, event.clientY));
+    window.addEventListener('mouseup', () => {
+      if (!isEmulatedMouse()) {
+        endDrag();
+      }
+    });
+    this.element.addEventListener('touchstart', (event) => {
+      lastTouchTime = (new Date()).getTime();
+
+      if (event.touches.length === 2) {
+        if (dragStart && hasDragged) {
+          this.emit('idle');
+        }
+
+        dragStart = null;
+        pinchStart = { distance: getTouchDistance(event.touches), zoom: this.zoom };
+      } else if (event.touches.length === 1) {
+        startDrag(event.touches[0].clientX, event.touches[0].clientY);
+      }
+    });
+    this.element.addEventListener('touchmove', (event) => {
+      if (pinchStart && event.touches.length === 2) {
+        // Zoom levels are whole numbers, so the zoom changes each time the distance between the fingers doubles or halves
+        this.setZoom(pinchStart.zoom + Math.round(Math.log2(getTouchDistance(event.touches) / pinchStart.distance)));
+      } else {
+        drag(event.touches[0].clientX, event.touches[0].clientY);
+      }
+
+      event.preventDefault();
+    });
+    this.element.addEventListener('touchend', (event) => {
+      lastTouchTime = (new Date()).getTime();
+
+      if (pinchStart) {
+        if (event.touches.length < 2) {
+          pinchStart = null;
+          this.emit('idle');
+        }
+
+        return;
+      }
+
+      endDrag();
+    });
+    this.element.addEventListener('wheel', (event) => {
+      this.setZoom(this.zoom + (event.deltaY < 0 ? 1 : -1));
+      event.preventDefault();
+    });
+  }
+
+  /**
+   * Redraw tiles and move all objects to their positions on the screen
+   */
+  render() {
+    const width = this.element.offsetWidth;
+    const height = this.element.offsetHeight;
+    const centerPoint = project(this.center, this.zoom);
+
+    this.origin = { x: centerPoint.x - (width / 2), y: centerPoint.y - (height / 2) };
+    this.renderTiles(width, height);
+
+    for (const mapObject of this.objects.values()) {
+      this.drawObject(mapObject);
+    }
+  }
+
+  /**
+   * Redraw the map and notify listeners that the map has stopped changing
+   */
+  update() {
+    this.render();
+    this.emit('idle');
+  }
+
+  /**
+   * Add tiles that are in view and remove those that are not
+   * @param {number} width - Width of the map element
+   * @param {number} height - Height of the map element
+   */
+  renderTiles(width, height) {
+    const tileCount = 2 ** this.zoom;
+    const neededTiles = new Set();
+    const firstX = Math.floor(this.origin.x / tileSize);
+    const lastX = Math.floor((this.origin.x + width) / tileSize);
+    const firstY = Math.max(Math.floor(this.origin.y / tileSize), 0);
+    const lastY = Math.min(Math.floor((this.origin.y + height) / tileSize), tileCount - 1);
+
+    for (let x = firstX; x <= lastX; x += 1) {
+      for (let y = firstY; y <= lastY; y += 1) {
+        const tileKey = `${this.zoom}/${x}/${y}`;
+        let tile = this.tiles.get(tileKey);
+
+        if (!tile) {
+          const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+          tile = document.createElement('IMG');
+
+          tile.classList.add('mapTile');
+          // Missing tiles are hidden to show the background color instead of a broken image
+          tile.addEventListener('error', event => event.target.classList.add('hide'));
+          tile.setAttribute('src', this.tileUrl.replace('{z}', this.zoom).replace('{x}', wrappedX).replace('{y}', y));
+          this.tileLayer.appendChild(tile);
+          this.tiles.set(tileKey, tile);
+        }
+
+        tile.style.left = `${(x * tileSize) - this.origin.x}px`;
+        tile.style.top = `${(y * tileSize) - this.origin.y}px`;
+        neededTiles.add(tileKey);
+      }
+    }
+
+    for (const [tileKey, tile] of this.tiles) {
+      if (!neededTiles.has(tileKey)) {
+        this.tileLayer.removeChild(tile);
+        this.tiles.delete(tileKey);
+      }
+    }
+  }
+
+  /**
+   * Move the object to its position on the screen
+   * Markers and labels are placed at their position. The points of lines and polygons are moved. Circles are also resized
+   * @param {Object} mapObject - Marker, label, line, polygon or circle
+   */
+  drawObject({ element, position, path, radius, isVisible }) {
+    if (radius !== undefined) {
+      const point = this.toContainerPixel(position);
+      const metersPerPixel = (earthCircumference * Math.cos((position.latitude * Math.PI) / 180)) / (tileSize * (2 ** this.zoom));
+
+      element.setAttribute('cx', point.x);
+      element.setAttribute('cy', point.y);
+      element.setAttribute('r', radius / metersPerPixel);
+      element.setAttribute('visibility', isVisible ? 'visible' : 'hidden');
+    } else if (path) {
+      const points = path.map((pathPosition) => {
+        const point = this.toContainerPixel(pathPosition);
+
+        return `${point.x},${point.y}`;
+      });
+
+      element.setAttribute('points', points.join(' '));
+      element.setAttribute('visibility', isVisible ? 'visible' : 'hidden');
+    } else {
+      const point = this.toContainerPixel(position);
+
+      element.style.setProperty('left', `${point.x}px`);
+      element.style.setProperty('top', `${point.y}px`);
+      element.classList.toggle('hide', !isVisible);
+    }
+  }
+
+  /**
+   * Store map object, draw it and return its id. The id is used in all calls that change the object
+   * @param {Object} mapObject - Map object
+   * @param {HTMLElement} mapObject.element - Element that represents the object on the map
+   * @param {{latitude: number, longitude: number}} [mapObject.position] - Lat and long coordinates of a marker or label
+   * @param {{latitude: number, longitude: number}[]} [mapObject.path] - Points of a line or polygon
+   * @param {number} [mapObject.radius] - Radius (meters) of a circle
+   * @returns {number} Id of the object
+   */
+  addObject(mapObject) {
+    this.lastObjectId += 1;
+    this.objects.set(this.lastObjectId, Object.assign({ isVisible: true }, mapObject));
+    this.drawObject(this.objects.get(this.lastObjectId));
+
+    return this.lastObjectId;
+  }
+
+  /**
+   * Change properties on the object and redraw it
+   * @param {number} objectId - Id of the object
+   * @param {Object} changes - Properties to change
+   */
+  updateObject(objectId, changes) {
+    const mapObject = Object.assign(this.objects.get(objectId), changes);
+
+    this.drawObject(mapObject);
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {{latitude: number, longitude: number}} params.position - Lat and long coordinates of the marker
+   * @param {string} params.iconUrl - Path to the icon image
+   * @param {number} params.opacity - Opacity of the marker
+   * @param {Function} [params.onClick] - Called when the marker is clicked
+   * @returns {number} Id of the marker
+   */
+  createMarker({ position, iconUrl, opacity, onClick }) {
+    const element = document.createElement('IMG');
+
+    element.classList.add('tileMarker');
+    element.setAttribute('src', iconUrl);
+    element.style.opacity = opacity;
+    // Stops the map from being dragged or clicked when the marker is pressed
+    element.addEventListener('mousedown', event => event.stopPropagation());
+    element.addEventListener('touchstart', event => event.stopPropagation());
+
+    if (onClick) {
+      element.addEventListener('click', onClick);
+    }
+
+    this.markerLayer.appendChild(element);
+
+    return this.addObject({ element, position });
+  }
+
+  setMarkerPosition(markerId, position) {
+    this.updateObject(markerId, { position });
+  }
+
+  getMarkerPosition(markerId) {
+    return this.objects.get(markerId).position;
+  }
+
+  setMarkerOpacity(markerId, opacity) {
+    this.objects.get(markerId).element.style.opacity = opacity;
+  }
+
+  /**
+   * Markers are not clustered by this provider
+   */
+  clusterMarker() {
+    this.resetClusters();
+  }
+
+  /**
+   * Markers are not clustered by this provider. The map is redrawn instead
+   */
+  resetClusters() {
+    this.render();
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {string} params.type - Type of shape (line|polygon)
+   * @param {{latitude: number, longitude: number}[]} params.path - Points of the shape
+   * @param {Object} params.style - Stroke and fill color, opacity and weight
+   * @returns {number} Id of the shape
+   */
+  createShape({ type, path, style }) {
+    const element = document.createElementNS(svgNamespace, type === 'polygon' ? 'polygon' : 'polyline');
+    const shapeId = this.addObject({ element, path });
+
+    element.setAttribute('fill', 'none');
+    this.setShapeStyle(shapeId, style);
+    this.shapeLayer.appendChild(element);
+
+    return shapeId;
+  }
+
+  /**
+   * Change the style of a line or polygon. Fill is ignored by lines
+   * @param {number} shapeId - Id of the line or polygon
+   * @param {Object} style - Stroke and fill color, opacity and weight
+   */
+  setShapeStyle(shapeId, style) {
+    const element = this.objects.get(shapeId).element;
+
+    element.setAttribute('stroke', style.strokeColor);
+    element.setAttribute('stroke-opacity', style.strokeOpacity);
+    element.setAttribute('stroke-width', style.strokeWeight);
+
+    if (element.tagName === 'polygon') {
+      element.setAttribute('fill', style.fillColor);
+      element.setAttribute('fill-opacity', style.fillOpacity);
+    }
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {{latitude: number, longitude: number}[]} params.path - Points of the line
+   * @param {Object} params.style - Stroke color, opacity and weight
+   * @returns {number} Id of the line
+   */
+  createLine({ path, style }) {
+    return this.createShape({ type: 'line', path, style });
+  }
+
+  setLinePath(lineId, path) {
+    this.updateObject(lineId, { path });
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {{latitude: number, longitude: number}[]} params.path - Corners of the polygon
+   * @param {Object} params.style - Stroke and fill color, opacity and weight
+   * @returns {number} Id of the polygon
+   */
+  createPolygon({ path, style }) {
+    return this.createShape({ type: 'polygon', path, style });
+  }
+
+  setPolygonPath(polygonId, path) {
+    this.updateObject(polygonId, { path });
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {{latitude: number, longitude: number}} params.position - Lat and long coordinates of the center
+   * @param {number} params.radius - Radius (meters)
+   * @param {Object} params.style - Stroke and fill color, opacity and weight
+   * @returns {number} Id of the circle
+   */
+  createCircle({ position, radius, style }) {
+    const element = document.createElementNS(svgNamespace, 'circle');
+
+    element.setAttribute('stroke', style.strokeColor);
+    element.setAttribute('stroke-opacity', style.strokeOpacity);
+    element.setAttribute('stroke-width', style.strokeWeight);
+    element.setAttribute('fill', style.fillColor);
+    element.setAttribute('fill-opacity', style.fillOpacity);
+    this.shapeLayer.appendChild(element);
+
+    return this.addObject({ element, position, radius });
+  }
+
+  setCirclePosition(circleId, position, radius) {
+    this.updateObject(circleId, { position, radius });
+  }
+
+  /**
+   * @param {Object} params - Parameters
+   * @param {{latitude: number, longitude: number}} params.position - Lat and long coordinates of the label
+   * @param {string} params.text - Text of the label
+   * @param {string} params.align - Text alignment (left|right|center)
+   * @param {string} params.fontFamily - Font family
+   * @param {string} params.fontColor - Font color
+   * @param {string} params.strokeColor - Stroke color (around the text)
+   * @param {number} params.fontSize - Font size
+   * @returns {number} Id of the label
+   */
+  createLabel({ position, text, align, fontFamily, fontColor, strokeColor, fontSize }) {
+    const element = document.createElement('DIV');
+
+    element.classList.add('tileLabel');
+    element.classList.add(align);
+    element.appendChild(document.createTextNode(text));
+    element.style.fontFamily = fontFamily;
+    element.style.fontSize = `${fontSize}px`;
+    element.style.color = fontColor;
+    element.style.textShadow = `-1px -1px 0 ${strokeColor}, 1px -1px 0 ${strokeColor}, -1px 1px 0 ${strokeColor}, 1px 1px 0 ${strokeColor}`;
+    this.markerLayer.appendChild(element);
+
+    return this.addObject({ element, position });
+  }
+
+  setLabelPosition(labelId, position) {
+    this.updateObject(labelId, { position });
+  }
+
+  setLabelText(labelId, text) {
+    this.objects.get(labelId).element.textContent = text;
+  }
+
+  /**
+   * Show or hide a marker, line, polygon, circle or label
+   * @param {number} objectId - Id of the object
+   * @param {boolean} isVisible - Should the object be shown?
+   */
+  setVisible(objectId, isVisible) {
+    this.updateObject(objectId, { isVisible });
+  }
+
+  /**
+   * @param {number} objectId - Id of a marker, line, polygon, circle or label
+   * @returns {boolean} Is the object shown?
+   */
+  isVisible(objectId) {
+    return this.objects.get(objectId).isVisible;
+  }
+
+  /**
+   * Remove a marker, line, polygon, circle or label from the map
+   * @param {number} objectId - Id of the object
+   */
+  removeObject(objectId) {
+    const element = this.objects.get(objectId).element;
+
+    element.parentNode.removeChild(element);
+    this.objects.delete(objectId);
+  }
+
+  /**
+   * Zoom and center the map to show all positions
+   * @param {{latitude: number, longitude: number}[]} positions - Lat and long coordinates
+   */
+  fitBounds(positions) {
+    if (positions.length === 0) {
+      return;
+    }
+
+    const points = positions.map(position => project(position, 0));
+    const minX = Math.min(...points.map(point => point.x));
+    const maxX = Math.max(...points.map(point => point.x));
+    const minY = Math.min(...points.map(point => point.y));
+    const maxY = Math.max(...points.map(point => point.y));
+    let zoomLevel = this.maxZoom;
+
+    while (zoomLevel > this.minZoom && (((maxX - minX) * (2 ** zoomLevel)) > this.element.offsetWidth || ((maxY - minY) * (2 ** zoomLevel)) > this.element.offsetHeight)) {
+      zoomLevel -= 1;
+    }
+
+    this.center = unproject({ x: (minX + maxX) / 2, y: (minY + maxY) / 2 }, 0);
+    this.setZoom(zoomLevel);
+    this.update();
+  }
+
+  setCenter(position) {
+    this.center = position;
+    this.update();
+  }
+
+  getCenter() {
+    return this.center;
+  }
+
+  setZoom(zoomLevel) {
+    const newZoom = Math.min(Math.max(zoomLevel, this.minZoom), this.maxZoom);
+
+    if (newZoom === this.zoom) {
+      return;
+    }
+
+    this.zoom = newZoom;
+    this.emit('zoom_changed');
+    this.update();
+  }
+
+  getZoom() {
+    return this.zoom;
+  }
+
+  /**
+   * Redraw the map after the size of its element has changed
+   */
+  resize() {
+    this.update();
+  }
+
+  /**
+   * @param {{latitude: number, longitude: number}} position - Lat and long coordinates
+   * @returns {{x: number, y: number}} Pixel coordinates in the map element
+   */
+  toContainerPixel(position) {
+    const point = project(position, this.zoom);
+
+    return { x: point.x - this.origin.x, y: point.y - this.origin.y };
+  }
+
+  /**
+   * @param {{x: number, y: number}} point - Pixel coordinates in the map element
+   * @returns {{latitude: number, longitude: number}} Lat and long coordinates
+   */
+  fromContainerPixel(point) {
+    return unproject({ x: point.x + this.origin.x, y: point.y + this.origin.y }, this.zoom);
+  }
+}
+
+module.exports = TileProvider;
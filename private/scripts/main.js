@@ -16,49 +16,273 @@
 
 const SocketManager = require('../library/SocketManager');
 const DialogBox = require('../library/view/DialogBox');
+const ChatView = require('../library/view/ChatView');
+const MapView = require('../library/view/MapView');
+const DiagramView = require('../library/view/DiagramView');
+const PositionTracker = require('../library/PositionTracker');
+const ZoneWatcher = require('../library/ZoneWatcher');
+const storage = require('../library/storage');
+const sessionHandler = require('../library/sessionHandler');
+const crashRecovery = require('../library/crashRecovery');
+const textTools = require('../library/textTools');
 
 const mainView = document.getElementById('main');
+const connectionStatus = document.createElement('SPAN');
 
-const events = {
-  message: ({ message }) => {
-    const span = document.createElement('SPAN');
+connectionStatus.classList.add('connectionStatus');
+document.getElementById('logo').appendChild(connectionStatus);
 
-    span.appendChild(document.createTextNode(message.text));
-    mainView.appendChild(span);
+/**
+ * Get id of this device. A new one is created and stored if it doesn't exist
+ * @returns {string} Device id
+ */
+function getDeviceId() {
+  let deviceId = storage.getLocalVal('deviceId');
+
+  if (!deviceId) {
+    deviceId = textTools.createCharString(16);
+    storage.setLocalVal('deviceId', deviceId);
+  }
+
+  return deviceId;
+}
+
+const socketManager = new SocketManager({
+  socket: io({ reconnection: false }), // eslint-disable-line no-undef
+  deviceId: getDeviceId(),
+  eventTimeouts: { login: 10000 },
+});
+
+/**
+ * Check user name and password before registration
+ * @param {Object} params - Parameters
+ * @param {string} params.userName - User name
+ * @param {string} params.password - Password
+ * @param {string} params.secondPassword - Repeated password
+ * @returns {string[]} Problems found. Empty if the user can be registered
+ */
+function validateRegistration({ userName, password, secondPassword }) {
+  const problems = [];
+
+  if (userName.length < 2 || userName.length > 10 || !textTools.isTextAllowed(userName)) {
+    problems.push('User name has to be 2 to 10 characters long and may only contain a-z, A-Z and 0-9');
+  }
+
+  if (password !== secondPassword) {
+    problems.push('Passwords do not match');
+  }
+
+  if (password.length < 6) {
+    problems.push('Password has to be at least 6 characters long');
+  } else if (password.toLowerCase() === userName.toLowerCase() || !/[0-9]/.test(password) || !/[a-zA-Z]/.test(password)) {
+    problems.push('Password is too weak. It has to contain both letters and numbers and may not be the same as the user name');
+  }
+
+  return problems;
+}
+
+/**
+ * Print connection state and amount of unsent messages in the header
+ */
+function printConnectionStatus() {
+  const state = socketManager.connectionState;
+  const pendingCount = socketManager.getPendingCount();
+  let statusText = `[${state.toUpperCase()}]`;
+
+  if (pendingCount > 0) {
+    statusText += ` ${pendingCount} unsent`;
+  }
+
+  connectionStatus.className = `connectionStatus ${state}`;
+  connectionStatus.textContent = statusText;
+}
+
+socketManager.addStateListener(() => printConnectionStatus());
+socketManager.addQueueListener(() => printConnectionStatus());
+printConnectionStatus();
+
+const chatView = new ChatView({ socketManager, parentElement: mainView });
+const positionTracker = new PositionTracker({ socketManager });
+const mapView = new MapView({
+  socketManager,
+  positionTracker,
+  parentElement: mainView,
+  mapOptions: {
+    centerCoordinates: { latitude: 0, longitude: 0 },
+    zoomLevel: 3,
+    tileUrl: '/tiles/{z}/{x}/{y}.png',
   },
-};
+});
+const diagramView = new DiagramView({ socketManager, parentElement: mainView });
+const zoneWatcher = new ZoneWatcher({ socketManager, positionTracker });
+const menuViews = [chatView, mapView, diagramView];
+
+socketManager.addRestoreListener(({ data, lastSeen }) => {
+  const rooms = data.user && data.user.rooms ? data.user.rooms : [];
+
+  for (const roomName of rooms) {
+    socketManager.emitEvent('follow', { room: { roomName } });
+    chatView.addRoom(roomName);
+  }
+
+  if (lastSeen) {
+    socketManager.emitEvent('history', { startDate: new Date(lastSeen) }, ({ error, data: historyData } = {}) => {
+      if (error) {
+        console.log('Failed to retrieve missed messages', error);
+
+        return;
+      }
+
+      chatView.addMessages((historyData && historyData.messages) || []);
+    });
+  }
+});
+zoneWatcher.addZoneListener(({ zoneName, hasEntered }) => mapView.printOutput([`${hasEntered ? 'Entered' : 'Left'} zone ${zoneName}`]));
+
+/**
+ * Show view and hide the other menu views. The view is hidden if it is already shown
+ * @param {View} view - View to show
+ */
+function toggleMenuView(view) {
+  const isHidden = view.element.classList.contains('hide');
+
+  for (const menuView of menuViews) {
+    menuView.hideView();
+  }
+
+  if (isHidden) {
+    view.showView();
+  }
+}
+
+chatView.hideView();
+mapView.hideView();
+diagramView.hideView();
+document.getElementById('comsItem').addEventListener('click', () => toggleMenuView(chatView));
+document.getElementById('mapItem').addEventListener('click', () => toggleMenuView(mapView));
+document.getElementById('toolsItem').addEventListener('click', () => toggleMenuView(diagramView));
+
+const logoutItem = document.getElementById('logoutItem');
+let sessionTimeout = null;
+
+/**
+ * Remove stored session, log out from the server and show the login dialog
+ * @param {Object} params - Parameters
+ * @param {DialogBox} params.loginDialog - Login dialog
+ * @param {string} [params.reason] - Reason for the logout, shown in the login dialog
+ */
+function endSession({ loginDialog, reason }) {
+  clearTimeout(sessionTimeout);
+  sessionHandler.clearSession();
+  socketManager.emitEvent('logout');
+  socketManager.setUser(null);
+  positionTracker.stopTracking();
+  zoneWatcher.stopWatching();
+  mapView.setUserName(null);
+  logoutItem.classList.add('hide');
+  loginDialog.showView();
+
+  if (reason) {
+    loginDialog.showError([reason]);
+  }
+}
+
+/**
+ * Store session, hide the login dialog and log out the user when the session expires
+ * @param {Object} params - Parameters
+ * @param {DialogBox} params.loginDialog - Login dialog
+ * @param {Object} params.user - Logged in user
+ * @param {string} [params.token] - Token retrieved from the server
+ * @param {Date|number|string} [params.expiresAt] - Time when the token expires
+ */
+function startSession({ loginDialog, user, token, expiresAt }) {
+  if (token) {
+    sessionHandler.saveSession({ userName: user.userName, token, expiresAt });
+  }
 
-const socketManager = new SocketManager({ socket: io(), events }); // eslint-disable-line no-undef
+  const session = sessionHandler.getSession();
+
+  clearTimeout(sessionTimeout);
+
+  if (session) {
+    sessionTimeout = setTimeout(() => endSession({ loginDialog, reason: 'Your session has expired. Please login again' }), session.expiresAt - (new Date()).getTime());
+  }
+
+  socketManager.setUser(user);
+  mapView.setUserName(user.userName);
+  positionTracker.startTracking();
+  zoneWatcher.startWatching();
+  loginDialog.clearError();
+  loginDialog.hideView();
+  logoutItem.classList.remove('hide');
+}
 
 const login = new DialogBox({
   buttons: {
     left: {
       text: 'Register',
       eventFunc: () => {
-        // if (login.inputs.find(input => input.getAttribute('name') === 'secondPassword')) {
-        //
-        // } else {
-        //
-        // }
+        login.clearError();
+
+        if (!login.getInput('secondPassword')) {
+          login.addInput({
+            placeholder: 'Repeat password',
+            inputName: 'secondPassword',
+            inputType: 'password',
+          });
+          login.setDescription('Choose a user name and password. Press register again to proceed');
+
+          return;
+        }
+
+        const user = {
+          userName: login.getInputValue('userName'),
+          password: login.getInputValue('password'),
+        };
+        const problems = validateRegistration({
+          userName: user.userName,
+          password: user.password,
+          secondPassword: login.getInputValue('secondPassword'),
+        });
+
+        if (problems.length > 0) {
+          login.showError(problems);
+
+          return;
+        }
+
+        socketManager.emitRequest({ event: 'register', params: { user }, persist: false })
+          .then(() => {
+            login.removeInput('secondPassword');
+            login.setDescription(`User ${user.userName} has been registered. Please login to proceed`);
+          })
+          .catch((error) => {
+            if (error.type === socketManager.RequestErrorEnum.TIMEOUT) {
+              login.showError(['The server did not answer. Please try again']);
+            } else {
+              login.showError(error.text || ['Failed to register user']);
+            }
+          });
       },
     },
     right: {
       text: 'Login',
       eventFunc: () => {
         const user = {
-          userName: login.inputs.find(input => input.getAttribute('name') === 'userName').value,
-          password: login.inputs.find(input => input.getAttribute('name') === 'password').value,
+          userName: login.getInputValue('userName'),
+          password: login.getInputValue('password'),
         };
 
-        socketManager.emitEvent('login', { user }, ({ error, data }) => {
-          if (error) {
-            console.log('Failed to login');
-
-            return;
-          }
-
-          console.log('Successfully logged in', data.user);
-        });
+        login.clearError();
+        socketManager.emitRequest({ event: 'login', params: { user }, persist: false })
+          .then(data => startSession(Object.assign({ loginDialog: login }, data)))
+          .catch((error) => {
+            if (error.type === socketManager.RequestErrorEnum.TIMEOUT) {
+              login.showError(['The server did not answer. Please try again']);
+            } else {
+              login.showError(error.text || ['Failed to login. Incorrect user name or password']);
+            }
+          });
       },
     },
   },
@@ -77,7 +301,105 @@ const login = new DialogBox({
   parentElement: mainView,
 });
 
-socketManager.emitEvent('chatMsg', { message: { text: ['Sent message'], roomName: 'public' } }, ({ data, error }) => { if (error) { console.log('error', error); } else { console.log('data', data); } });
+/**
+ * Login with the stored session, if there is one that hasn't expired
+ */
+function autoLogin() {
+  const session = sessionHandler.getSession();
+
+  if (!session) {
+    return;
+  }
+
+  login.hideView();
+  socketManager.emitRequest({ event: 'login', params: { user: { userName: session.userName }, token: session.token }, persist: false })
+    .then((data) => {
+      // The expiry of the old token is kept, unless the server has sent a new token
+      startSession({
+        loginDialog: login,
+        user: data.user,
+        token: data.token || session.token,
+        expiresAt: data.token ? data.expiresAt : session.expiresAt,
+      });
+    })
+    .catch((error) => {
+      login.showView();
+
+      if (error.type === socketManager.RequestErrorEnum.TIMEOUT) {
+        login.showError(['The server did not answer. Please try again']);
+      } else {
+        sessionHandler.clearSession();
+        login.showError(['Your session has expired. Please login again']);
+      }
+    });
+}
+
+logoutItem.addEventListener('click', () => endSession({ loginDialog: login }));
+autoLogin();
+
+/**
+ * Restore state that was stored before the client crashed
+ */
+function restoreSnapshot() {
+  const snapshot = crashRecovery.retrieveSnapshot();
+
+  if (!snapshot) {
+    return;
+  }
+
+  if (snapshot.roomName) {
+    chatView.switchRoom(snapshot.roomName);
+  }
+
+  if (snapshot.isComsVisible) {
+    chatView.showView();
+  }
+
+  chatView.input.value = snapshot.chatText || '';
+  login.getInput('userName').value = snapshot.userName || '';
+}
+
+let isSafeMode = false;
+let restartTimeout = null;
+
+/**
+ * Show safe mode screen. The client will no longer reload on crashes, to avoid a reload loop
+ */
+function showSafeMode() {
+  if (isSafeMode) {
+    return;
+  }
+
+  isSafeMode = true;
+  clearTimeout(restartTimeout);
+  restartTimeout = null;
+
+  const safeMode = new DialogBox({
+    buttons: {
+      left: {
+        text: 'Reload',
+        eventFunc: () => {
+          crashRecovery.clearCrashes();
+          window.location.reload();
+        },
+      },
+      right: {
+        text: 'Continue',
+        eventFunc: () => {
+          isSafeMode = false;
+          crashRecovery.clearCrashes();
+          safeMode.element.parentNode.removeChild(safeMode.element);
+        },
+      },
+    },
+    descriptionText: 'SAFE MODE. razorOS has crashed repeatedly and will no longer restart by itself. The error has been reported. Unsent messages have been stored and will be sent when the connection is restored',
+    parentElement: document.body,
+  });
+
+  safeMode.element.classList.add('safeMode');
+}
+
+restoreSnapshot();
 
 window.addEventListener('error', (event) => {
   /**
@@ -88,8 +410,31 @@ window.addEventListener('error', (event) => {
     window.location.reload();
   }
 
+  // Errors from the same crash, before the page has restarted, are only counted once
+  const isNewCrash = restartTimeout === null && !isSafeMode;
+  const crashCount = isNewCrash ? crashRecovery.recordCrash() : crashRecovery.getCrashCount();
+
   console.log(event.error);
-  setTimeout(restart, 3000);
+  crashRecovery.saveSnapshot({
+    isComsVisible: !chatView.element.classList.contains('hide'),
+    roomName: chatView.currentRoomName,
+    chatText: chatView.input.value,
+    userName: login.getInputValue('userName'),
+  });
+  socketManager.emitEvent('clientError', {
+    error: {
+      text: [event.message],
+      stack: event.error ? event.error.stack : undefined,
+      crashCount,
+    },
+    device: { deviceId: socketManager.deviceId },
+  });
+
+  if (crashRecovery.isCrashLooping()) {
+    showSafeMode();
+  } else if (isNewCrash) {
+    restartTimeout = setTimeout(restart, 3000);
+  }
 
   return false;
 });